@@ -6,16 +6,29 @@
  */
 import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@6.13.4/+esm";
 import {
-  MODULE_ADDRESS,
-  REALITIO_ADDRESS,
   SECONDS_PER_DAY,
+  EXECUTION_WAIT_TIMEOUT_MS,
+  DEFAULT_PROFILE,
+  DEFAULT_CONFIRMATIONS,
+  ANSWER_YES,
+  ANSWER_CHOICES,
   loadSettings,
   saveSettings,
+  loadProfiles,
+  getActiveProfile,
+  setActiveProfile,
+  upsertProfile,
+  deleteProfile,
+  createProfileId,
 } from "./config.js";
 import {
   openDB,
+  useDBNamespace,
+  getDBNamespace,
+  migrateLegacyDB,
   dbGetAll,
   dbGetAllByIndex,
+  dbPut,
   dbClearAll,
   getSetting,
   setSetting,
@@ -26,6 +39,13 @@ import {
   backfillProposals,
   backfillProposalsRange,
   backfillAnswerHistory,
+  backfillQuestionEvents,
+  loadQuestionEvents,
+  takeTouchedQuestionIds,
+  takeRollbackBlock,
+  getUnconfirmedFrom,
+  setConfirmationDepth,
+  fetchExecutionTxs,
   estimateBlockFromTime,
   fetchNewProposals,
   fetchAnswerHistory,
@@ -33,12 +53,27 @@ import {
   startPolling,
   stopPolling,
   setRpcFailureHandler,
+  cancelIndexing,
 } from "./indexer.js";
+import { loadLogRange } from "./logs.js";
 import {
   loadQuestionState,
   loadModuleConfig,
+  detectOracle,
   computeSuggestedBond,
+  planBondEscalation,
+  formatBond,
+  formatBondAmount,
+  parseBondAmount,
+  computeProposalStatus,
+  loadModuleQuestionId,
+  isProposalInvalidated,
+  isProposalSuperseded,
+  isProposalFullyExecuted,
+  groupProposalAttempts,
+  normalizeAnswer,
 } from "./reality.js";
+import { getOracle, setOracle } from "./contracts.js";
 import {
   connectWallet,
   disconnectWallet,
@@ -50,9 +85,20 @@ import {
 } from "./wallet.js";
 import {
   submitAnswer,
+  simulateAnswer,
+  ensureBondAllowance,
   buildAnswerPreview,
-  notifyArbitrationRequest,
-  buildArbitrationPreview,
+  createCommitment,
+  submitAnswerCommitment,
+  simulateAnswerCommitment,
+  submitAnswerReveal,
+  simulateAnswerReveal,
+  loadCommitmentState,
+  loadAnswerCommitments,
+  saveCommitment,
+  deleteCommitment,
+  loadCommitments,
+  buildCommitmentPreview,
 } from "./vote.js";
 import {
   importTxBundle,
@@ -60,18 +106,69 @@ import {
   loadTxBundle,
   verifyTxBundle,
   executeProposalTx,
+  simulateExecuteProposalTx,
+  exportTxBuilderBatch,
+  diagnoseTxBundle,
+  loadExecutionState,
+  getTxExecutionStates,
+  createExecutionRun,
+  loadExecutionRun,
+  saveExecutionRun,
+  clearExecutionRun,
 } from "./execute.js";
+import {
+  loadDecoderRegistry,
+  getDecoderRegistrySummary,
+  addSignatures,
+  removeSignature,
+  importAbi,
+  removeAbi,
+  decodeTransaction,
+  formatCallTreeText,
+} from "./decoder.js";
 import {
   getFullAnswerHistory,
   computeClaimableAnswers,
   estimateClaimableAmount,
   claimWinnings,
+  simulateClaimWinnings,
   claimMultipleAndWithdraw,
+  simulateClaimMultipleAndWithdraw,
   withdrawBalance,
+  simulateWithdraw,
   getUnclaimedBalance,
   scanClaimableBonds,
   buildClaimPreview,
 } from "./claim.js";
+import { formatSimulation } from "./simulate.js";
+import { simulateProposalExecution } from "./safediff.js";
+import { checkProposalIntegrity } from "./integrity.js";
+import {
+  getModuleOwner,
+  buildInvalidationPreview,
+  simulateInvalidation,
+  invalidateProposal,
+} from "./invalidate.js";
+import { buildProposalTimeline, formatTimelineMarkdown } from "./timeline.js";
+import {
+  loadArbitrator,
+  requestArbitration,
+  simulateArbitrationRequest,
+  buildArbitrationPreview,
+} from "./arbitration.js";
+import {
+  fundAnswerBounty,
+  simulateFundBounty,
+  buildBountyPreview,
+  loadBountyHistory,
+} from "./bounty.js";
+import {
+  prepareProposal,
+  buildProposalPreview,
+  simulateProposal,
+  submitProposal,
+  findCreatedQuestionId,
+} from "./propose.js";
 import {
   showToast,
   setStatus,
@@ -79,20 +176,38 @@ import {
   updateSyncBadge,
   updateWalletButton,
   toggleSettings,
+  toggleCreateProposal,
+  renderProposalPreview,
   populateSettings,
   readSettingsFromUI,
+  populateProfiles,
+  readProfileFromUI,
   showModuleConfig,
   showLoading,
   hideLoading,
   updateLoadingProgress,
   renderProposalsTable,
+  renderAttemptHistory,
   showDetail,
   hideDetail,
-  filterProposals,
+  filterProposalGroups,
   getSearchFilter,
   getStatusFilter,
   renderClaimSection,
   renderClaimsOverview,
+  formatCallTreeHtml,
+  renderDecoderRegistry,
+  renderBundleDiagnosis,
+  renderSafeDiff,
+  renderIntegrity,
+  renderExecutionRun,
+  renderPendingReveals,
+  renderBondPlan,
+  renderBountyHistory,
+  renderArbitrator,
+  renderQuestionEvents,
+  renderTimeline,
+  setUnconfirmedFrom,
 } from "./ui.js";
 
 // ---- App State ----
@@ -102,19 +217,25 @@ let moduleConfig = null;
 let allProposals = [];
 let questionStates = new Map();
 let currentProposal = null;
-let selectedAnswer = null; // "yes" | "no"
+let selectedAnswer = null; // key of ANSWER_CHOICES: "yes" | "no" | "invalid" | "tooSoon"
 let currentRpcUrl = "";
 let currentFallbackUrl = "";
 let rpcFailoverInProgress = false;
 let pendingDeepLinkProposalId = null;
+let executeAllActive = false;
+let executeAllPauseRequested = false;
+let currentArbitrator = null; // loadArbitrator() result for the open question
+let currentTimeline = [];
+const executionScans = new Set(); // questionIds with an execution tx scan in flight
+let pendingProposal = null; // { bundle, prep } from the last Create Proposal preview
+const warnedReveals = new Set(); // commitmentIds already warned about a closing reveal window
 
 // ---- Initialization ----
 
 async function init() {
-  await openDB();
-
   const settings = loadSettings();
   populateSettings(settings);
+  populateProfiles(loadProfiles());
   pendingDeepLinkProposalId = getProposalIdFromLocation();
 
   bindEvents();
@@ -195,48 +316,57 @@ function clearProposalRoute() {
   window.history.replaceState({}, "", getRootRoute());
 }
 
-function findLocalProposalById(proposalId) {
+function findLocalProposalGroup(proposalId) {
   const target = normalizeProposalId(proposalId);
   if (!target) return null;
-  return allProposals.find((p) => normalizeProposalId(p.proposalId) === target) || null;
+  return groupProposalAttempts(allProposals).find((g) => g.key === target) || null;
 }
 
 async function resolvePendingDeepLink() {
   if (!pendingDeepLinkProposalId || !provider) return;
 
   const targetId = pendingDeepLinkProposalId;
-  let proposal = findLocalProposalById(targetId);
+  let group = findLocalProposalGroup(targetId);
 
-  if (!proposal) {
-    showLoading(`Searching chain for proposal ${targetId}...`);
+  if (!group) {
+    showLoading(`Searching chain for proposal ${targetId}...`, cancelIndexing);
     updateSyncBadge("Searching proposal...", "warning");
 
     try {
-      proposal = await findProposalById(provider, targetId, (pct, _count, msg) => {
+      const found = await findProposalById(provider, targetId, (pct, _count, msg) => {
         updateLoadingProgress(msg || `Searching... ${pct}%`);
       });
 
-      if (proposal) {
-        await loadAllQuestionStates([proposal]);
+      if (found) {
         await loadCachedData();
+        group = findLocalProposalGroup(targetId);
+        await loadAllQuestionStates(group.attempts);
+        await refreshInvalidationStates(group.attempts);
+        await loadCachedData();
+        group = findLocalProposalGroup(targetId);
       }
     } catch (err) {
-      console.error("Deep-link search error:", err);
-      showToast(`Proposal lookup failed: ${err.message}`, "error");
+      if (err.name === "AbortError") {
+        showToast("Proposal lookup cancelled", "info");
+      } else {
+        console.error("Deep-link search error:", err);
+        showToast(`Proposal lookup failed: ${err.message}`, "error");
+      }
     } finally {
       hideLoading();
     }
   }
 
-  if (proposal) {
+  if (group) {
     pendingDeepLinkProposalId = null;
+    const proposal = group.effective;
     await openProposalDetail(proposal, { updateRoute: false });
     showToast(`Opened proposal ${proposal.proposalId || proposal.questionId}`, "success");
   } else {
     showToast(`Proposal not found on-chain: ${targetId}`, "warning");
   }
 
-  updateSyncBadge("Synced ✓", "success");
+  await updateSyncedBadge();
 }
 
 // ---- RPC Connection ----
@@ -257,26 +387,59 @@ async function connectRPC(rpcUrl, fallbackUrl) {
 
     provider = new ethers.JsonRpcProvider(currentRpcUrl);
     setRpcFailureHandler(handleRpcFailure);
+    setConfirmationDepth(loadSettings().confirmations ?? DEFAULT_CONFIRMATIONS);
 
     const network = await provider.getNetwork();
     chainId = Number(network.chainId);
 
-    const [moduleCode, oracleCode] = await Promise.all([
-      provider.getCode(MODULE_ADDRESS),
-      provider.getCode(REALITIO_ADDRESS),
-    ]);
+    const profile = getActiveProfile();
+    if (profile.chainId && profile.chainId !== chainId) {
+      throw new Error(`Profile "${profile.label}" expects chain ${profile.chainId}, but the RPC is on chain ${chainId}`);
+    }
 
+    const moduleCode = await provider.getCode(profile.moduleAddress);
     if (moduleCode === "0x" || moduleCode.length < 4) {
-      throw new Error(`No contract found at Module address ${MODULE_ADDRESS} on chain ${chainId}`);
+      throw new Error(`No contract found at Module address ${profile.moduleAddress} on chain ${chainId}`);
     }
+
+    moduleConfig = await loadModuleConfig(provider);
+
+    // The module's oracle() is authoritative; the profile value is only a hint
+    const oracleCode = await provider.getCode(moduleConfig.oracle);
     if (oracleCode === "0x" || oracleCode.length < 4) {
-      throw new Error(`No contract found at Reality.eth address ${REALITIO_ADDRESS} on chain ${chainId}`);
+      throw new Error(`No contract found at Reality.eth address ${moduleConfig.oracle} on chain ${chainId}`);
     }
 
-    moduleConfig = await loadModuleConfig(provider);
+    const oracle = await detectOracle(provider, moduleConfig.oracle);
+    setOracle(oracle);
+
+    if (!profile.oracleAddress || profile.oracleAddress.toLowerCase() !== oracle.address.toLowerCase()) {
+      if (profile.oracleAddress) {
+        showToast(`Module oracle is ${oracle.address}, not ${profile.oracleAddress}. Profile updated.`, "warning", 8000);
+      }
+      upsertProfile({ ...profile, oracleAddress: oracle.address });
+      populateProfiles(loadProfiles());
+    }
+
+    // Cache + sync cursors are scoped to (chainId, module address)
+    const hadNamespace = getDBNamespace() !== null;
+    if (useDBNamespace(chainId, profile.moduleAddress) && hadNamespace) {
+      resetProposalView();
+    }
+    await openDB();
+    await loadLogRange(currentRpcUrl);
 
-    updateNetworkBadge(chainId, true);
-    showModuleConfig(moduleConfig);
+    const isDefaultDeployment = chainId === DEFAULT_PROFILE.chainId &&
+      profile.moduleAddress.toLowerCase() === DEFAULT_PROFILE.moduleAddress.toLowerCase();
+    if (isDefaultDeployment && await migrateLegacyDB()) {
+      showToast("Moved existing cache into chain-scoped storage", "info");
+    }
+
+    await loadDecoderRegistry();
+    refreshDecoderRegistry();
+
+    updateNetworkBadge(chainId, true, profile.label);
+    showModuleConfig(moduleConfig, oracle);
     setStatus("settings-status", `Connected to chain ${chainId}`, "success");
     showToast(`Connected to chain ${chainId}`, "success");
 
@@ -290,6 +453,7 @@ async function connectRPC(rpcUrl, fallbackUrl) {
       updateSyncBadge("Syncing...", "warning");
       await maybeExpandBackfillCoverage();
       await ensureAnswerCacheCoverage();
+      await ensureQuestionEventCoverage();
 
       const { newProposals, stateUpdates } = await runIncrementalSync();
       if (newProposals.length > 0) {
@@ -301,19 +465,36 @@ async function connectRPC(rpcUrl, fallbackUrl) {
       updateSyncBadge("Synced ✓", "success");
     }
 
+    if (allProposals.some((p) => !p.integrity)) {
+      updateSyncBadge("Verifying proposals...", "warning");
+      await verifyIntegrity(allProposals);
+      refreshUI();
+      await updateSyncedBadge();
+    }
+    const invalidationChanges = await refreshInvalidationStates(allProposals);
+    const executionChanges = await refreshExecutionStates(allProposals);
+    if (invalidationChanges + executionChanges > 0) refreshUI();
+
     await resolvePendingDeepLink();
+    await checkPendingReveals();
+
+    // A cancelled or failed first backfill leaves no cursor to poll from; it reruns on the next connect
+    if (!(await getSetting("lastProcessedBlock"))) return true;
 
     const settings = loadSettings();
     startPolling(provider, settings.pollIntervalSec, async (newProposals) => {
       updateSyncBadge("Syncing...", "warning");
 
       try {
+        const rolledBack = notifyReorgRollback();
         if (newProposals.length > 0) {
           await loadAllQuestionStates(newProposals);
         }
 
         const stateUpdates = await refreshActiveQuestionStates();
-        if (newProposals.length > 0 || stateUpdates > 0) {
+        // Catch owner vetoes while the app is open; settled proposals are re-checked on connect
+        const invalidations = await refreshInvalidationStates(allProposals.filter(isVetoable));
+        if (rolledBack || newProposals.length > 0 || stateUpdates + invalidations > 0) {
           await loadCachedData();
 
           if (newProposals.length > 0) {
@@ -329,11 +510,12 @@ async function connectRPC(rpcUrl, fallbackUrl) {
             await openProposalDetail(refreshed, { updateRoute: false });
           }
         }
+        await checkPendingReveals();
       } catch (err) {
         console.error("Polling refresh error:", err);
       }
 
-      updateSyncBadge("Synced ✓", "success");
+      await updateSyncedBadge();
     });
 
     return true;
@@ -346,6 +528,7 @@ async function connectRPC(rpcUrl, fallbackUrl) {
     provider = null;
     chainId = null;
     moduleConfig = null;
+    setOracle(null);
     return false;
   }
 }
@@ -403,6 +586,18 @@ async function handleRpcFailure(err) {
 
 // ---- Backfill & Sync ----
 
+/**
+ * "Synced" once proposal indexing has a cursor; a cancelled or failed first
+ * backfill leaves none.
+ */
+async function updateSyncedBadge() {
+  if (await getSetting("lastProcessedBlock")) {
+    updateSyncBadge("Synced ✓", "success");
+  } else {
+    updateSyncBadge("Not synced", "warning");
+  }
+}
+
 async function runBackfill() {
   if (!provider) {
     showToast("Connect to an RPC first", "warning");
@@ -410,7 +605,7 @@ async function runBackfill() {
   }
 
   const settings = loadSettings();
-  showLoading("Starting backfill...");
+  showLoading("Starting backfill...", cancelIndexing);
   updateSyncBadge("Backfilling...", "warning");
 
   try {
@@ -427,15 +622,20 @@ async function runBackfill() {
     updateLoadingProgress("Loading Reality.eth states...");
     await loadAllQuestionStates(proposals);
     await setSetting("answerCacheReady", true);
+    await setSetting("questionEventsReady", true);
 
     await loadCachedData();
     refreshUI();
   } catch (err) {
-    console.error("Backfill error:", err);
-    showToast(`Backfill failed: ${err.message}`, "error");
+    if (err.name === "AbortError") {
+      showToast("Backfill cancelled; it resumes on the next connect", "info");
+    } else {
+      console.error("Backfill error:", err);
+      showToast(`Backfill failed: ${err.message}`, "error");
+    }
   } finally {
     hideLoading();
-    updateSyncBadge("Synced ✓", "success");
+    await updateSyncedBadge();
   }
 }
 
@@ -443,7 +643,8 @@ async function maybeExpandBackfillCoverage() {
   if (!provider) return [];
 
   const settings = loadSettings();
-  const desiredStart = await estimateBlockFromTime(provider, settings.backfillDays * SECONDS_PER_DAY);
+  const estimatedStart = await estimateBlockFromTime(provider, settings.backfillDays * SECONDS_PER_DAY);
+  const desiredStart = Math.max(estimatedStart, getActiveProfile().deploymentBlock);
 
   let earliestIndexed = await getSetting("earliestIndexedBlock");
   if (earliestIndexed === null || earliestIndexed === undefined) {
@@ -467,7 +668,7 @@ async function maybeExpandBackfillCoverage() {
   const toBlock = earliest - 1;
   if (toBlock < desiredStart) return [];
 
-  showLoading("Expanding backfill coverage...");
+  showLoading("Expanding backfill coverage...", cancelIndexing);
   updateSyncBadge("Backfilling older history...", "warning");
 
   try {
@@ -488,22 +689,22 @@ async function maybeExpandBackfillCoverage() {
     }
 
     return olderProposals;
+  } catch (err) {
+    if (err.name !== "AbortError") throw err;
+    showToast("Backfill of older history cancelled", "info");
+    return [];
   } finally {
     hideLoading();
   }
 }
 
-async function ensureAnswerCacheCoverage() {
-  if (!provider) return;
-
-  const answerCacheReady = await getSetting("answerCacheReady");
-  if (answerCacheReady === true) return;
-
+/**
+ * Block range already covered by proposal indexing, for caches added after
+ * it ran ({ fromBlock, lastBlock }; null if nothing was indexed yet).
+ */
+async function getIndexedBlockRange() {
   const lastBlock = Number((await getSetting("lastProcessedBlock")) || 0);
-  if (!lastBlock || allProposals.length === 0) {
-    await setSetting("answerCacheReady", true);
-    return;
-  }
+  if (!lastBlock || allProposals.length === 0) return null;
 
   let earliestIndexed = await getSetting("earliestIndexedBlock");
   if (earliestIndexed === null || earliestIndexed === undefined) {
@@ -517,7 +718,22 @@ async function ensureAnswerCacheCoverage() {
     }
   }
 
-  const fromBlock = Number(earliestIndexed);
+  return { fromBlock: Number(earliestIndexed), lastBlock };
+}
+
+async function ensureAnswerCacheCoverage() {
+  if (!provider) return;
+
+  const answerCacheReady = await getSetting("answerCacheReady");
+  if (answerCacheReady === true) return;
+
+  const range = await getIndexedBlockRange();
+  if (!range) {
+    await setSetting("answerCacheReady", true);
+    return;
+  }
+
+  const { fromBlock, lastBlock } = range;
   if (!Number.isFinite(fromBlock) || fromBlock > lastBlock) {
     return;
   }
@@ -544,17 +760,50 @@ async function ensureAnswerCacheCoverage() {
   }
 }
 
+/**
+ * Index question / arbitration / finalization events over the range that was
+ * indexed before those stores existed.
+ */
+async function ensureQuestionEventCoverage() {
+  if (!provider) return;
+  if ((await getSetting("questionEventsReady")) === true) return;
+
+  const range = await getIndexedBlockRange();
+  if (!range) {
+    await setSetting("questionEventsReady", true);
+    return;
+  }
+
+  const { fromBlock, lastBlock } = range;
+  if (!Number.isFinite(fromBlock) || fromBlock > lastBlock) {
+    return;
+  }
+
+  showLoading("Indexing historical question events...");
+  updateSyncBadge("Indexing questions...", "warning");
+
+  try {
+    await backfillQuestionEvents(provider, fromBlock, lastBlock, (pct, _count, msg) => {
+      updateLoadingProgress(msg || `Indexing question logs... ${pct}%`);
+    });
+    await setSetting("questionEventsReady", true);
+  } finally {
+    hideLoading();
+  }
+}
+
 async function runIncrementalSync() {
   if (!provider) return { newProposals: [], stateUpdates: 0 };
 
   const newProposals = await fetchNewProposals(provider);
+  const rolledBack = notifyReorgRollback();
   if (newProposals.length > 0) {
     await loadAllQuestionStates(newProposals);
   }
 
   const stateUpdates = await refreshActiveQuestionStates();
 
-  if (newProposals.length > 0 || stateUpdates > 0) {
+  if (rolledBack || newProposals.length > 0 || stateUpdates > 0) {
     await loadCachedData();
   } else {
     refreshUI();
@@ -563,6 +812,17 @@ async function runIncrementalSync() {
   return { newProposals, stateUpdates };
 }
 
+/**
+ * Tell the user when the last sync rolled back blocks replaced by a reorg.
+ * Returns true if it did (the cached data must then be reloaded).
+ */
+function notifyReorgRollback() {
+  const block = takeRollbackBlock();
+  if (block === null) return false;
+  showToast(`Chain reorg detected: re-indexed from block ${block + 1}`, "warning", 6000);
+  return true;
+}
+
 // ---- Data Loading ----
 
 async function loadCachedData() {
@@ -581,6 +841,105 @@ async function loadAllQuestionStates(proposals) {
       console.warn(`Could not load state for ${proposals[i].questionId}:`, err.message);
     }
   }
+  await verifyIntegrity(proposals);
+}
+
+/**
+ * True for live proposals an owner can veto with markProposalAsInvalid:
+ * question not finalized yet, or finalized YES and not fully executed.
+ */
+function isVetoable(proposal) {
+  if (isProposalInvalidated(proposal) || isProposalSuperseded(proposal) || isProposalFullyExecuted(proposal)) return false;
+  const qs = questionStates.get(proposal.questionId);
+  return !qs?.isFinalized || normalizeAnswer(qs.finalAnswer || qs.bestAnswer) === ANSWER_YES;
+}
+
+/**
+ * Re-read questionIds() for proposals that could have been invalidated since
+ * the last check: NO / expired answers, and vetoable live proposals.
+ * Returns how many changed.
+ */
+async function refreshInvalidationStates(proposals) {
+  if (!provider || !moduleConfig) return 0;
+
+  let changed = 0;
+  for (const proposal of proposals) {
+    if (!proposal.questionText || isProposalInvalidated(proposal) || isProposalSuperseded(proposal)) continue;
+    const status = computeProposalStatus(questionStates.get(proposal.questionId), moduleConfig, proposal);
+    if (!status.invalidation && !isVetoable(proposal)) continue;
+
+    try {
+      const moduleQuestionId = await loadModuleQuestionId(provider, proposal.questionText);
+      if (moduleQuestionId !== proposal.moduleQuestionId) {
+        proposal.moduleQuestionId = moduleQuestionId;
+        await dbPut("proposals", proposal);
+        changed += 1;
+      }
+    } catch (err) {
+      console.warn(`Could not read questionIds for ${proposal.questionId}:`, err.message);
+    }
+  }
+  return changed;
+}
+
+/**
+ * Re-read executedProposalTransactions() for YES-finalized proposals that are
+ * not yet fully executed (or all given proposals with `force`).
+ * Returns how many changed.
+ */
+async function refreshExecutionStates(proposals, { force = false } = {}) {
+  if (!provider) return 0;
+
+  let changed = 0;
+  for (const proposal of proposals) {
+    if (!proposal.questionText || !proposal.txHashes?.length) continue;
+    if (!force) {
+      if (isProposalFullyExecuted(proposal)) continue;
+      const qs = questionStates.get(proposal.questionId);
+      if (!qs?.isFinalized || normalizeAnswer(qs.finalAnswer || qs.bestAnswer) !== ANSWER_YES) continue;
+    }
+
+    try {
+      const executedTxs = await loadExecutionState(provider, proposal);
+      if (JSON.stringify(executedTxs) !== JSON.stringify(proposal.executedTxs)) {
+        proposal.executedTxs = executedTxs;
+        await dbPut("proposals", proposal);
+        changed += 1;
+      }
+    } catch (err) {
+      console.warn(`Could not read execution state for ${proposal.questionId}:`, err.message);
+    }
+  }
+  return changed;
+}
+
+/**
+ * Run integrity checks for proposals that have none yet (or all of them with
+ * `force`) and persist the result on the proposal record.
+ * Returns the number of proposals that failed.
+ */
+async function verifyIntegrity(proposals, { force = false } = {}) {
+  if (!provider || !moduleConfig) return 0;
+
+  let failed = 0;
+  for (const proposal of proposals) {
+    if (proposal.integrity && !force) continue;
+    const qs = questionStates.get(proposal.questionId);
+    if (!qs) continue;
+
+    try {
+      proposal.integrity = await checkProposalIntegrity(provider, proposal, qs, moduleConfig);
+      await dbPut("proposals", proposal);
+      if (proposal.integrity.status === "fail") failed += 1;
+    } catch (err) {
+      console.warn(`Integrity check failed to run for ${proposal.questionId}:`, err.message);
+    }
+  }
+
+  if (failed > 0) {
+    showToast(`${failed} proposal(s) do not match their on-chain question — review before voting`, "error", 8000);
+  }
+  return failed;
 }
 
 function hasQuestionStateChanged(prev, next) {
@@ -598,12 +957,22 @@ function hasQuestionStateChanged(prev, next) {
   );
 }
 
+/**
+ * Re-read questions() only where it can have changed: questions with newly
+ * indexed events, questions whose answer window has run out (finalizing by
+ * timeout emits no event) and questions without a cached state.
+ */
 async function refreshActiveQuestionStates() {
   if (!provider || allProposals.length === 0) return 0;
 
+  const touched = takeTouchedQuestionIds();
+  const now = Math.floor(Date.now() / 1000);
   const active = allProposals.filter((proposal) => {
     const qs = questionStates.get(proposal.questionId);
-    return !qs || !qs.isFinalized || qs.isPendingArbitration;
+    if (!qs) return true;
+    if (qs.isFinalized && !qs.isPendingArbitration) return false;
+    if (touched.has(proposal.questionId.toLowerCase())) return true;
+    return !qs.isPendingArbitration && qs.finalizeTs > 0 && qs.finalizeTs <= now;
   });
 
   let updates = 0;
@@ -639,9 +1008,11 @@ async function getCachedAnswers(questionId) {
 function refreshUI() {
   if (!moduleConfig) return;
 
+  setUnconfirmedFrom(getUnconfirmedFrom());
   const search = getSearchFilter();
   const status = getStatusFilter();
-  const filtered = filterProposals(allProposals, questionStates, moduleConfig, search, status);
+  const groups = groupProposalAttempts(allProposals);
+  const filtered = filterProposalGroups(groups, questionStates, moduleConfig, search, status);
 
   renderProposalsTable(filtered, questionStates, moduleConfig, (proposal) => {
     openProposalDetail(proposal);
@@ -652,6 +1023,13 @@ function refreshUI() {
 
 async function openProposalDetail(proposal, options = {}) {
   const { updateRoute = true } = options;
+  if (currentProposal?.questionId !== proposal.questionId) {
+    // Simulation results belong to the previous question
+    [
+      "vote-simulation", "reveal-simulation", "bounty-simulation", "arb-simulation",
+      "exec-simulation", "claim-simulation", "invalidate-simulation",
+    ].forEach((id) => setStatus(id, ""));
+  }
   currentProposal = proposal;
 
   let qs = questionStates.get(proposal.questionId) || null;
@@ -665,7 +1043,8 @@ async function openProposalDetail(proposal, options = {}) {
   }
 
   let answers = await getCachedAnswers(proposal.questionId);
-  if (answers.length === 0 && provider) {
+  // Answers cached before tx hashes were stored are refetched once, for the timeline
+  if ((answers.length === 0 || answers.some((a) => !a.txHash)) && provider) {
     try {
       await fetchAnswerHistory(provider, proposal.questionId);
       answers = await getCachedAnswers(proposal.questionId);
@@ -673,16 +1052,99 @@ async function openProposalDetail(proposal, options = {}) {
       console.warn("Could not fetch missing answer history:", err.message);
     }
   }
+  if (provider) {
+    await loadAnswerCommitments(provider, answers);
+  }
+
+  if (!proposal.integrity && qs) {
+    await verifyIntegrity([proposal]);
+  }
+  await refreshInvalidationStates([proposal]);
+  await refreshExecutionStates([proposal]);
 
   showDetail(proposal, qs, moduleConfig, answers);
+  await updateTimeline(proposal, qs, answers);
+  renderIntegrity(proposal.integrity);
+  renderAttemptHistory(
+    findLocalProposalGroup(proposal.proposalId),
+    proposal.questionId,
+    questionStates,
+    moduleConfig,
+    (attempt) => openProposalDetail(attempt)
+  );
   if (updateRoute) setProposalRoute(proposal.proposalId);
 
   updateVoteSection(qs);
+  await updatePendingReveals(proposal);
   await updateExecuteSection(proposal);
-  updateArbitrationSection(qs);
+  await updateBountySection(qs);
+  await updateArbitrationSection(qs);
+  await updateInvalidateSection(proposal, qs);
   await updateClaimSection(proposal, qs);
+
+  refreshExecutionTxs(proposal)
+    .then((found) => {
+      if (found && currentProposal?.questionId === proposal.questionId) {
+        return updateTimeline(proposal, qs, answers);
+      }
+    })
+    .catch((err) => console.warn("Could not look up execution transactions:", err.message));
+}
+
+/**
+ * Render the indexed question events and the lifecycle timeline of the open proposal.
+ */
+async function updateTimeline(proposal, questionState, answers) {
+  const events = await loadQuestionEvents(proposal.questionId);
+  renderQuestionEvents(events, questionState);
+  currentTimeline = buildProposalTimeline({ proposal, questionState, moduleConfig, answers, events });
+  renderTimeline(currentTimeline);
+}
+
+/**
+ * Look up the transactions behind executedTxs that have none recorded yet,
+ * resuming after the last scanned block. Returns true if new ones were found.
+ */
+async function refreshExecutionTxs(proposal) {
+  const executedCount = (proposal.executedTxs || []).filter(Boolean).length;
+  if (!provider || !moduleConfig || executedCount === 0) return false;
+  if ((proposal.executions || []).length >= executedCount || executionScans.has(proposal.questionId)) return false;
+
+  executionScans.add(proposal.questionId);
+  try {
+    const fromBlock = (proposal.executionsScannedBlock ?? proposal.createdBlock - 1) + 1;
+    const { executions, scannedTo } = await fetchExecutionTxs(provider, proposal, moduleConfig.target, fromBlock);
+    const known = new Set((proposal.executions || []).map((x) => x.txHash));
+    proposal.executions = [...(proposal.executions || []), ...executions.filter((x) => !known.has(x.txHash))];
+    proposal.executionsScannedBlock = scannedTo;
+    await dbPut("proposals", proposal);
+    return executions.length > 0;
+  } finally {
+    executionScans.delete(proposal.questionId);
+  }
+}
+
+function doExportTimeline() {
+  if (!currentProposal || currentTimeline.length === 0) return;
+
+  const markdown = formatTimelineMarkdown(currentProposal, currentTimeline);
+  const blob = new Blob([markdown], { type: "text/markdown" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `timeline-${(currentProposal.proposalId || currentProposal.questionId).slice(0, 16)}.md`;
+  a.click();
+  URL.revokeObjectURL(url);
 }
 
+// Vote button per ANSWER_CHOICES key
+const VOTE_BUTTON_IDS = {
+  yes: "btn-vote-yes",
+  no: "btn-vote-no",
+  invalid: "btn-vote-invalid",
+  tooSoon: "btn-vote-too-soon",
+};
+
 function updateVoteSection(questionState) {
   const walletWarning = document.getElementById("vote-wallet-warning");
   const voteForm = document.getElementById("vote-form");
@@ -694,26 +1156,43 @@ function updateVoteSection(questionState) {
     });
   } else {
     walletWarning.classList.add("hidden");
-    document.getElementById("btn-vote-yes").disabled = false;
-    document.getElementById("btn-vote-no").disabled = false;
+    Object.values(VOTE_BUTTON_IDS).forEach((id) => {
+      document.getElementById(id).disabled = false;
+    });
+    voteForm.querySelectorAll("input").forEach((el) => {
+      el.disabled = false;
+    });
   }
 
+  // "Answered too soon" only has a meaning on v3.0 oracles
+  document.getElementById("btn-vote-too-soon").classList.toggle("hidden", getOracle().version !== "v3");
+
   if (questionState && moduleConfig) {
-    const suggested = computeSuggestedBond(questionState.bond, moduleConfig.minimumBond);
+    const suggested = computeSuggestedBond(questionState.bond, moduleConfig.minimumBond, questionState.minBond);
     document.getElementById("bond-suggestion").textContent =
-      `Suggested: ${ethers.formatEther(suggested)} ETH (>= 2x current bond and >= module minimum)`;
-    document.getElementById("input-bond").value = ethers.formatEther(suggested);
-    document.getElementById("input-max-previous").value = ethers.formatEther(questionState.bond);
+      `Suggested: ${formatBond(suggested)} (>= 2x current bond, module minimum and question min_bond)`;
+    document.getElementById("input-bond").value = formatBondAmount(suggested);
+    document.getElementById("input-max-previous").value = formatBondAmount(questionState.bond);
   }
 
+  renderBondPlan(null);
   selectedAnswer = null;
-  document.getElementById("btn-vote-yes").classList.remove("selected");
-  document.getElementById("btn-vote-no").classList.remove("selected");
+  Object.values(VOTE_BUTTON_IDS).forEach((id) => document.getElementById(id).classList.remove("selected"));
   document.getElementById("btn-submit-vote").disabled = true;
   document.getElementById("vote-preview").classList.add("hidden");
 }
 
-function updateArbitrationSection(questionState) {
+/**
+ * Whether the connected wallet can request arbitration through `arbitrator`:
+ * any account for arbitrator contracts, only the arbitrator itself for an EOA.
+ */
+function canRequestArbitration(arbitrator) {
+  if (!arbitrator || !isConnected()) return false;
+  if (arbitrator.kind === "eoa") return getAddress()?.toLowerCase() === arbitrator.address.toLowerCase();
+  return arbitrator.kind !== "unknown";
+}
+
+async function updateArbitrationSection(questionState) {
   const walletWarning = document.getElementById("arb-wallet-warning");
   const maxPrevInput = document.getElementById("input-arb-max-previous");
   const feeInput = document.getElementById("input-arb-fee");
@@ -721,8 +1200,22 @@ function updateArbitrationSection(questionState) {
 
   if (!maxPrevInput || !feeInput || !btn || !walletWarning) return;
 
+  currentArbitrator = null;
+  renderArbitrator(null);
+
   if (questionState) {
-    maxPrevInput.value = ethers.formatEther(questionState.bond || "0");
+    maxPrevInput.value = formatBondAmount(questionState.bond || "0");
+    if (provider && currentProposal) {
+      try {
+        currentArbitrator = await loadArbitrator(provider, questionState.arbitrator, currentProposal.questionId);
+        renderArbitrator(currentArbitrator);
+        if (currentArbitrator.remaining !== null) {
+          feeInput.value = ethers.formatEther(currentArbitrator.remaining);
+        }
+      } catch (err) {
+        console.warn("Could not load arbitrator:", err.message);
+      }
+    }
     if (questionState.isPendingArbitration) {
       btn.disabled = true;
       setStatus("arb-status", "Arbitration already pending for this question", "info");
@@ -738,9 +1231,45 @@ function updateArbitrationSection(questionState) {
   } else {
     walletWarning.classList.add("hidden");
     maxPrevInput.disabled = false;
-    feeInput.disabled = false;
-    btn.disabled = false;
+    // An EOA arbitrator notifies the oracle directly, without a fee
+    feeInput.disabled = currentArbitrator?.kind === "eoa";
+    btn.disabled = !canRequestArbitration(currentArbitrator);
+  }
+}
+
+async function updateInvalidateSection(proposal, questionState) {
+  const section = document.getElementById("invalidate-section");
+  const status = moduleConfig ? computeProposalStatus(questionState, moduleConfig, proposal) : null;
+
+  if (!status?.invalidation || !proposal.proposalId || !proposal.questionText) {
+    section.classList.add("hidden");
+    return;
+  }
+  section.classList.remove("hidden");
+  setStatus("invalidate-simulation", "");
+
+  const reason = document.getElementById("invalidate-reason");
+  if (status.invalidation === "expired") {
+    reason.textContent = "The YES answer has expired. Anyone can mark this proposal invalid so it leaves the executable queue.";
+  } else {
+    let owner = "the module owner";
+    if (provider) {
+      try {
+        owner = await getModuleOwner(provider);
+      } catch {
+        // keep the generic wording
+      }
+    }
+    reason.textContent =
+      `The final answer is not YES. Only ${owner} can call markProposalAsInvalid; ` +
+      "if that is a Safe, submit the calldata below as a Safe transaction instead.";
   }
+
+  document.getElementById("invalidate-calldata").textContent =
+    JSON.stringify(buildInvalidationPreview(proposal, status.invalidation), null, 2);
+
+  document.getElementById("invalidate-wallet-warning").classList.toggle("hidden", isConnected());
+  document.getElementById("btn-invalidate").disabled = !isConnected();
 }
 
 async function updateExecuteSection(proposal) {
@@ -756,9 +1285,22 @@ async function updateExecuteSection(proposal) {
     if (bundle) {
       renderTxBundle(bundle, proposal);
     }
+    const run = await loadExecutionRun(proposal.proposalId);
+    renderExecutionRun(run);
+    updateExecuteAllControls(proposal, run);
   }
 }
 
+function updateExecuteAllControls(proposal, run) {
+  const btn = document.getElementById("btn-execute-all");
+  const resumable = run && run.status !== "done";
+  btn.textContent = resumable ? "Resume Execute All" : "Execute All Remaining";
+  btn.classList.toggle("hidden", isProposalFullyExecuted(proposal));
+  btn.disabled = executeAllActive || !isConnected();
+  document.getElementById("btn-pause-execute-all").classList.toggle("hidden", !executeAllActive);
+  document.getElementById("btn-discard-execute-all").classList.toggle("hidden", !resumable || executeAllActive);
+}
+
 // ---- Bond Claiming ----
 
 async function updateClaimSection(proposal, questionState) {
@@ -791,6 +1333,20 @@ async function updateClaimSection(proposal, questionState) {
   }
 }
 
+/**
+ * Simulate a write before the wallet prompt and show the result in `simId`.
+ * On a predicted revert the user decides whether to send anyway.
+ * Returns true to proceed.
+ */
+async function preflight(simId, simulate) {
+  setStatus(simId, "Simulating...", "info");
+  const sim = await simulate();
+  const summary = formatSimulation(sim);
+  setStatus(simId, summary, sim.ok ? "success" : "error");
+  if (sim.ok) return true;
+  return window.confirm(`${summary}\n\nThis transaction is expected to fail. Send it anyway?`);
+}
+
 async function doClaimWinnings() {
   if (!currentProposal || !isConnected() || !provider) return;
 
@@ -811,6 +1367,14 @@ async function doClaimWinnings() {
     buildClaimPreview(currentProposal.questionId, history);
 
     const signer = getSigner();
+    const proceed = await preflight("claim-simulation", () =>
+      simulateClaimWinnings(signer, currentProposal.questionId, history)
+    );
+    if (!proceed) {
+      setStatus("claim-status", "Cancelled", "");
+      return;
+    }
+
     const tx = await claimWinnings(signer, currentProposal.questionId, history);
 
     setStatus("claim-status", `Transaction sent: ${tx.hash}`, "info");
@@ -833,8 +1397,10 @@ async function doWithdrawBalance() {
   if (!isConnected()) return;
 
   try {
-    setStatus("claim-status", "Withdrawing balance...", "info");
     const signer = getSigner();
+    if (!(await preflight("claim-simulation", () => simulateWithdraw(signer)))) return;
+
+    setStatus("claim-status", "Withdrawing balance...", "info");
     const tx = await withdrawBalance(signer);
 
     setStatus("claim-status", `Transaction sent: ${tx.hash}`, "info");
@@ -870,8 +1436,13 @@ async function doScanAllClaims() {
       claims,
       async (claim) => {
         try {
-          setStatus("claims-overview-status", `Claiming for ${claim.questionId.slice(0, 10)}...`, "info");
           const signer = getSigner();
+          const proceed = await preflight("claims-overview-simulation", () =>
+            simulateClaimWinnings(signer, claim.questionId, claim.answerHistory)
+          );
+          if (!proceed) return;
+
+          setStatus("claims-overview-status", `Claiming for ${claim.questionId.slice(0, 10)}...`, "info");
           const tx = await claimWinnings(signer, claim.questionId, claim.answerHistory);
           setStatus("claims-overview-status", `Tx sent: ${tx.hash}`, "info");
           const receipt = await tx.wait();
@@ -885,12 +1456,15 @@ async function doScanAllClaims() {
       },
       async (allClaims) => {
         try {
-          setStatus("claims-overview-status", `Claiming ${allClaims.length} questions...`, "info");
           const signer = getSigner();
-          const tx = await claimMultipleAndWithdraw(
-            signer,
-            allClaims.map((c) => ({ questionId: c.questionId, answerHistory: c.answerHistory }))
+          const claimArgs = allClaims.map((c) => ({ questionId: c.questionId, answerHistory: c.answerHistory }));
+          const proceed = await preflight("claims-overview-simulation", () =>
+            simulateClaimMultipleAndWithdraw(signer, claimArgs)
           );
+          if (!proceed) return;
+
+          setStatus("claims-overview-status", `Claiming ${allClaims.length} questions...`, "info");
+          const tx = await claimMultipleAndWithdraw(signer, claimArgs);
           setStatus("claims-overview-status", `Tx sent: ${tx.hash}`, "info");
           const receipt = await tx.wait();
           setStatus("claims-overview-status", `All claimed in block ${receipt.blockNumber} ✓`, "success");
@@ -916,41 +1490,108 @@ async function doScanAllClaims() {
 
 // ---- Vote / Arbitration ----
 
-function selectAnswer(isYes) {
-  selectedAnswer = isYes ? "yes" : "no";
-  document.getElementById("btn-vote-yes").classList.toggle("selected", isYes);
-  document.getElementById("btn-vote-no").classList.toggle("selected", !isYes);
+function selectAnswer(choice) {
+  selectedAnswer = choice;
+  Object.entries(VOTE_BUTTON_IDS).forEach(([key, id]) => {
+    document.getElementById(id).classList.toggle("selected", key === choice);
+  });
   document.getElementById("btn-submit-vote").disabled = false;
 
-  const bondWei = ethers.parseEther(document.getElementById("input-bond").value || "0").toString();
-  const maxPrevWei = ethers.parseEther(document.getElementById("input-max-previous").value || "0").toString();
-  const preview = buildAnswerPreview(currentProposal.questionId, isYes, bondWei, maxPrevWei);
+  const bondWei = parseBondAmount(document.getElementById("input-bond").value).toString();
+  const maxPrevWei = parseBondAmount(document.getElementById("input-max-previous").value).toString();
+  const preview = document.getElementById("input-commit-reveal").checked
+    ? buildCommitmentPreview({ questionId: currentProposal.questionId, bond: bondWei }, maxPrevWei)
+    : buildAnswerPreview(currentProposal.questionId, ANSWER_CHOICES[choice], bondWei, maxPrevWei);
 
   document.getElementById("vote-preview").classList.remove("hidden");
   document.getElementById("vote-calldata").textContent = JSON.stringify(preview, null, 2);
 }
 
+async function doPlanBonds() {
+  if (!currentProposal || !moduleConfig) return;
+
+  const qs = questionStates.get(currentProposal.questionId);
+  if (!qs) {
+    showToast("Question state not loaded yet", "warning");
+    return;
+  }
+
+  const rounds = Math.min(20, Math.max(1, parseInt(document.getElementById("input-plan-rounds").value, 10) || 1));
+  const answers = await getCachedAnswers(currentProposal.questionId);
+  const historyTotal = answers.reduce((sum, a) => sum + BigInt(a.bond || "0"), 0n);
+
+  // The arbitration fee is paid in ETH; it only compares with ETH bonds
+  let arbitrationFee = null;
+  let feeNote = null;
+  const feeText = document.getElementById("input-arb-fee").value.trim();
+  if (getOracle().erc20) {
+    feeNote = `Bonds are in ${getOracle().token.symbol} and the arbitration fee in ETH, so they are not compared.`;
+  } else if (feeText && parseFloat(feeText) > 0) {
+    arbitrationFee = feeText;
+  } else {
+    feeNote = "Enter the arbitration fee to see when arbitration becomes cheaper.";
+  }
+
+  try {
+    if (arbitrationFee !== null) arbitrationFee = ethers.parseEther(arbitrationFee).toString();
+    const plan = planBondEscalation({
+      currentBond: qs.bond,
+      minimumBond: moduleConfig.minimumBond,
+      questionMinBond: qs.minBond,
+      historyTotal: historyTotal.toString(),
+      bounty: qs.bounty,
+      rounds,
+      arbitrationFee,
+    });
+    renderBondPlan(plan, { finalizeTs: qs.isFinalized ? 0 : qs.finalizeTs, timeout: qs.timeout, feeNote });
+  } catch (err) {
+    showToast(`Planner error: ${err.message}`, "error");
+  }
+}
+
 async function doSubmitVote() {
   if (!currentProposal || !selectedAnswer || !isConnected()) return;
 
-  const bondEth = document.getElementById("input-bond").value;
-  const maxPrevEth = document.getElementById("input-max-previous").value;
+  const bondText = document.getElementById("input-bond").value;
+  const maxPrevText = document.getElementById("input-max-previous").value;
 
-  if (!bondEth || parseFloat(bondEth) <= 0) {
+  if (!bondText || parseFloat(bondText) <= 0) {
     setStatus("vote-status", "Bond must be > 0", "error");
     return;
   }
 
+  if (document.getElementById("input-commit-reveal").checked) {
+    await doSubmitCommitment(bondText, maxPrevText);
+    return;
+  }
+
   try {
-    const bondWei = ethers.parseEther(bondEth).toString();
-    const maxPrevWei = ethers.parseEther(maxPrevEth || "0").toString();
-    const isYes = selectedAnswer === "yes";
+    const bondWei = parseBondAmount(bondText).toString();
+    const maxPrevWei = parseBondAmount(maxPrevText).toString();
+    const answer = ANSWER_CHOICES[selectedAnswer];
 
-    setStatus("vote-status", "Submitting transaction...", "info");
     document.getElementById("btn-submit-vote").disabled = true;
 
     const signer = getSigner();
-    const tx = await submitAnswer(signer, currentProposal.questionId, isYes, bondWei, maxPrevWei);
+    const simulateVote = () => simulateAnswer(signer, currentProposal.questionId, answer, bondWei, maxPrevWei);
+    if (!(await preflight("vote-simulation", simulateVote))) {
+      setStatus("vote-status", "Cancelled", "");
+      return;
+    }
+
+    const approval = await ensureBondAllowance(signer, bondWei);
+    if (approval) {
+      setStatus("vote-status", `Approving bond token: ${approval.hash}`, "info");
+      await approval.wait();
+      // The first simulation was skipped until the allowance existed
+      if (!(await preflight("vote-simulation", simulateVote))) {
+        setStatus("vote-status", "Cancelled after approval", "");
+        return;
+      }
+    }
+
+    setStatus("vote-status", "Submitting transaction...", "info");
+    const tx = await submitAnswer(signer, currentProposal.questionId, answer, bondWei, maxPrevWei);
 
     setStatus("vote-status", `Transaction sent: ${tx.hash}`, "info");
     showToast("Vote transaction submitted", "info");
@@ -976,46 +1617,326 @@ async function doSubmitVote() {
   }
 }
 
-async function doInitiateArbitration() {
-  if (!currentProposal || !provider || !isConnected()) return;
-
-  const maxPrevEth = document.getElementById("input-arb-max-previous").value || "0";
-  const feeEth = document.getElementById("input-arb-fee").value || "0";
+// ---- Commit-reveal ----
 
+/**
+ * Commit to the selected answer: the nonce is saved locally before the
+ * transaction is sent, so a closed tab cannot lose it.
+ */
+async function doSubmitCommitment(bondText, maxPrevText) {
+  let commitment = null;
   try {
-    const maxPrevWei = ethers.parseEther(maxPrevEth).toString();
-    const feeWei = ethers.parseEther(feeEth).toString();
-
-    const preview = buildArbitrationPreview(currentProposal.questionId, maxPrevWei, feeWei);
-    document.getElementById("arb-preview").classList.remove("hidden");
-    document.getElementById("arb-calldata").textContent = JSON.stringify(preview, null, 2);
+    const bondWei = parseBondAmount(bondText).toString();
+    const maxPrevWei = parseBondAmount(maxPrevText).toString();
+    commitment = createCommitment(currentProposal.questionId, ANSWER_CHOICES[selectedAnswer], bondWei);
+    document.getElementById("vote-calldata").textContent =
+      JSON.stringify(buildCommitmentPreview(commitment, maxPrevWei), null, 2);
 
-    setStatus("arb-status", "Submitting arbitration request...", "info");
-    document.getElementById("btn-init-arbitration").disabled = true;
+    document.getElementById("btn-submit-vote").disabled = true;
 
     const signer = getSigner();
-    const tx = await notifyArbitrationRequest(signer, currentProposal.questionId, maxPrevWei, feeWei);
+    const simulateCommit = () => simulateAnswerCommitment(signer, commitment, maxPrevWei);
+    if (!(await preflight("vote-simulation", simulateCommit))) {
+      setStatus("vote-status", "Cancelled", "");
+      return;
+    }
 
-    setStatus("arb-status", `Transaction sent: ${tx.hash}`, "info");
-    showToast("Arbitration transaction submitted", "info");
+    const approval = await ensureBondAllowance(signer, bondWei);
+    if (approval) {
+      setStatus("vote-status", `Approving bond token: ${approval.hash}`, "info");
+      await approval.wait();
+      if (!(await preflight("vote-simulation", simulateCommit))) {
+        setStatus("vote-status", "Cancelled after approval", "");
+        return;
+      }
+    }
 
-    const receipt = await tx.wait();
-    setStatus("arb-status", `Confirmed in block ${receipt.blockNumber} ✓`, "success");
-    showToast("Arbitration request submitted", "success");
+    commitment.answerer = await signer.getAddress();
+    await saveCommitment(commitment);
 
-    const qs = await loadQuestionState(provider, currentProposal.questionId);
-    questionStates.set(currentProposal.questionId, qs);
+    setStatus("vote-status", "Submitting commitment...", "info");
+    const tx = await submitAnswerCommitment(signer, commitment, maxPrevWei);
+    commitment.txHash = tx.hash;
+    await saveCommitment(commitment);
+    setStatus("vote-status", `Commitment sent: ${tx.hash}`, "info");
 
-    await loadCachedData();
-    const refreshed = allProposals.find((p) => p.questionId === currentProposal.questionId) || currentProposal;
-    await openProposalDetail(refreshed, { updateRoute: false });
-  } catch (err) {
-    console.error("Arbitration error:", err);
-    setStatus("arb-status", `Error: ${err.reason || err.message}`, "error");
-    showToast(`Arbitration failed: ${err.reason || err.message}`, "error");
-  } finally {
-    document.getElementById("btn-init-arbitration").disabled = !isConnected();
-  }
+    const receipt = await tx.wait();
+    const state = await loadCommitmentState(provider || signer, commitment.commitmentId);
+    const block = await receipt.getBlock();
+    commitment.revealTs = state.revealTs;
+    commitment.committedTs = block.timestamp;
+    await saveCommitment(commitment);
+
+    setStatus(
+      "vote-status",
+      `Committed in block ${receipt.blockNumber} ✓ Reveal before ${new Date(state.revealTs * 1000).toLocaleString()}`,
+      "success"
+    );
+    showToast("Answer committed; remember to reveal it", "success");
+
+    if (provider) {
+      const qs = await loadQuestionState(provider, currentProposal.questionId);
+      questionStates.set(currentProposal.questionId, qs);
+      await fetchAnswerHistory(provider, currentProposal.questionId);
+      await loadCachedData();
+      const refreshed = allProposals.find((p) => p.questionId === currentProposal.questionId) || currentProposal;
+      await openProposalDetail(refreshed, { updateRoute: false });
+    }
+  } catch (err) {
+    console.error("Commitment error:", err);
+    if (commitment && !commitment.txHash) {
+      await deleteCommitment(commitment.commitmentId).catch(() => {});
+    }
+    setStatus("vote-status", `Error: ${err.reason || err.message}`, "error");
+    showToast(`Commitment failed: ${err.reason || err.message}`, "error");
+  } finally {
+    document.getElementById("btn-submit-vote").disabled = false;
+  }
+}
+
+/**
+ * Bring local commitments up to date with the oracle (reveal deadline,
+ * revealed flag). Returns the refreshed list.
+ */
+async function syncCommitments(commitments) {
+  if (!provider) return commitments;
+
+  for (const c of commitments) {
+    if (c.revealed || !c.txHash) continue;
+    try {
+      const state = await loadCommitmentState(provider, c.commitmentId);
+      if (state.revealTs !== c.revealTs || state.isRevealed !== c.revealed) {
+        c.revealTs = state.revealTs;
+        c.revealed = state.isRevealed;
+        await saveCommitment(c);
+      }
+    } catch (err) {
+      console.warn(`Could not read commitment ${c.commitmentId}:`, err.message);
+    }
+  }
+  return commitments;
+}
+
+async function updatePendingReveals(proposal) {
+  const commitments = await syncCommitments(await loadCommitments(proposal.questionId));
+  renderPendingReveals(commitments.filter((c) => c.txHash), doRevealAnswer);
+}
+
+/**
+ * Warn once per commitment when less than a quarter of its reveal window is left.
+ */
+async function checkPendingReveals() {
+  const now = Math.floor(Date.now() / 1000);
+  const open = (await loadCommitments()).filter((c) => c.txHash && !c.revealed && (!c.revealTs || c.revealTs > now));
+  for (const c of await syncCommitments(open)) {
+    if (c.revealed || !c.revealTs || warnedReveals.has(c.commitmentId)) continue;
+    const revealWindow = c.revealTs - (c.committedTs || c.createdAt);
+    const remaining = c.revealTs - now;
+    if (remaining > 0 && remaining <= revealWindow / 4) {
+      warnedReveals.add(c.commitmentId);
+      const proposal = allProposals.find((p) => p.questionId === c.questionId);
+      showToast(
+        `Reveal your answer for ${proposal?.proposalId?.slice(0, 12) || c.questionId.slice(0, 10)}… ` +
+        `within ${Math.ceil(remaining / 60)} min or the bond is lost`,
+        "warning",
+        15000
+      );
+    }
+  }
+}
+
+async function doRevealAnswer(commitment) {
+  if (!isConnected()) {
+    showToast("Connect your wallet first", "warning");
+    return;
+  }
+
+  try {
+    const signer = getSigner();
+    const proceed = await preflight("reveal-simulation", () => simulateAnswerReveal(signer, commitment));
+    if (!proceed) {
+      setStatus("reveal-status", "Cancelled", "");
+      return;
+    }
+
+    setStatus("reveal-status", "Revealing answer...", "info");
+    const tx = await submitAnswerReveal(signer, commitment);
+    setStatus("reveal-status", `Transaction sent: ${tx.hash}`, "info");
+
+    const receipt = await tx.wait();
+    commitment.revealed = true;
+    await saveCommitment(commitment);
+    setStatus("reveal-status", `Revealed in block ${receipt.blockNumber} ✓`, "success");
+    showToast("Answer revealed", "success");
+
+    if (provider && currentProposal?.questionId === commitment.questionId) {
+      const qs = await loadQuestionState(provider, commitment.questionId);
+      questionStates.set(commitment.questionId, qs);
+      await loadCachedData();
+      const refreshed = allProposals.find((p) => p.questionId === commitment.questionId) || currentProposal;
+      await openProposalDetail(refreshed, { updateRoute: false });
+    }
+  } catch (err) {
+    console.error("Reveal error:", err);
+    setStatus("reveal-status", `Error: ${err.reason || err.message}`, "error");
+    showToast(`Reveal failed: ${err.reason || err.message}`, "error");
+  }
+}
+
+async function doInitiateArbitration() {
+  if (!currentProposal || !provider || !isConnected()) return;
+  if (!canRequestArbitration(currentArbitrator)) {
+    showToast(currentArbitrator?.warning || "Arbitrator not loaded yet", "warning");
+    return;
+  }
+  const arbitrator = currentArbitrator;
+
+  const maxPrevEth = document.getElementById("input-arb-max-previous").value || "0";
+  const feeEth = document.getElementById("input-arb-fee").value || "0";
+
+  try {
+    const maxPrevWei = parseBondAmount(maxPrevEth).toString();
+    const feeWei = ethers.parseEther(feeEth).toString();
+
+    const preview = buildArbitrationPreview(arbitrator, currentProposal.questionId, maxPrevWei, feeWei, getAddress());
+    document.getElementById("arb-preview").classList.remove("hidden");
+    document.getElementById("arb-calldata").textContent = JSON.stringify(preview, null, 2);
+
+    document.getElementById("btn-init-arbitration").disabled = true;
+
+    const signer = getSigner();
+    const proceed = await preflight("arb-simulation", () =>
+      simulateArbitrationRequest(signer, arbitrator, currentProposal.questionId, maxPrevWei, feeWei)
+    );
+    if (!proceed) {
+      setStatus("arb-status", "Cancelled", "");
+      return;
+    }
+
+    setStatus("arb-status", "Submitting arbitration request...", "info");
+    const tx = await requestArbitration(signer, arbitrator, currentProposal.questionId, maxPrevWei, feeWei);
+
+    setStatus("arb-status", `Transaction sent: ${tx.hash}`, "info");
+    showToast("Arbitration transaction submitted", "info");
+
+    const receipt = await tx.wait();
+    setStatus("arb-status", `Confirmed in block ${receipt.blockNumber} ✓`, "success");
+    showToast("Arbitration request submitted", "success");
+
+    const qs = await loadQuestionState(provider, currentProposal.questionId);
+    questionStates.set(currentProposal.questionId, qs);
+    if (!qs.isPendingArbitration && arbitrator.kind === "reality") {
+      // Arbitrator.sol keeps partial payments until the whole dispute fee is paid
+      setStatus("arb-status", `Confirmed in block ${receipt.blockNumber}; the dispute fee is not fully paid yet`, "info");
+    }
+
+    await loadCachedData();
+    const refreshed = allProposals.find((p) => p.questionId === currentProposal.questionId) || currentProposal;
+    await openProposalDetail(refreshed, { updateRoute: false });
+  } catch (err) {
+    console.error("Arbitration error:", err);
+    setStatus("arb-status", `Error: ${err.reason || err.message}`, "error");
+    showToast(`Arbitration failed: ${err.reason || err.message}`, "error");
+  } finally {
+    // Stay disabled once the question is pending arbitration, as updateArbitrationSection leaves it
+    const pending = questionStates.get(currentProposal?.questionId)?.isPendingArbitration;
+    document.getElementById("btn-init-arbitration").disabled = pending || !canRequestArbitration(currentArbitrator);
+  }
+}
+
+// ---- Answer Bounty ----
+
+async function updateBountySection(questionState) {
+  const walletWarning = document.getElementById("bounty-wallet-warning");
+  const finalized = questionState?.isFinalized || false;
+
+  walletWarning.classList.toggle("hidden", isConnected());
+  document.getElementById("input-bounty").disabled = finalized;
+  document.getElementById("btn-preview-bounty").disabled = finalized;
+  document.getElementById("btn-fund-bounty").disabled = finalized || !isConnected();
+  document.getElementById("bounty-preview").classList.add("hidden");
+  setStatus("bounty-status", finalized ? "The question is finalized; its bounty can no longer be funded" : "", finalized ? "info" : "");
+
+  renderBountyHistory(currentProposal ? await loadBountyHistory(currentProposal.questionId) : []);
+}
+
+/**
+ * Read the bounty amount input and show the transaction preview.
+ * Returns the amount in base units, or null when the input is empty or zero.
+ */
+function previewBounty() {
+  const amountWei = parseBondAmount(document.getElementById("input-bounty").value.trim() || "0").toString();
+  if (amountWei === "0") {
+    showToast("Enter an amount to add to the bounty", "warning");
+    return null;
+  }
+
+  const qs = questionStates.get(currentProposal.questionId);
+  const preview = buildBountyPreview(currentProposal.questionId, amountWei, qs?.bounty);
+  document.getElementById("bounty-preview").classList.remove("hidden");
+  document.getElementById("bounty-calldata").textContent = JSON.stringify(preview, null, 2);
+  return amountWei;
+}
+
+function doPreviewBounty() {
+  if (!currentProposal) return;
+  try {
+    previewBounty();
+  } catch (err) {
+    showToast(`Invalid amount: ${err.message}`, "error");
+  }
+}
+
+async function doFundBounty() {
+  if (!currentProposal || !provider || !isConnected()) return;
+
+  try {
+    const amountWei = previewBounty();
+    if (!amountWei) return;
+
+    document.getElementById("btn-fund-bounty").disabled = true;
+
+    const signer = getSigner();
+    const simulateBounty = () => simulateFundBounty(signer, currentProposal.questionId, amountWei);
+    if (!(await preflight("bounty-simulation", simulateBounty))) {
+      setStatus("bounty-status", "Cancelled", "");
+      return;
+    }
+
+    const approval = await ensureBondAllowance(signer, amountWei);
+    if (approval) {
+      setStatus("bounty-status", `Approving bond token: ${approval.hash}`, "info");
+      await approval.wait();
+      if (!(await preflight("bounty-simulation", simulateBounty))) {
+        setStatus("bounty-status", "Cancelled after approval", "");
+        return;
+      }
+    }
+
+    setStatus("bounty-status", "Submitting transaction...", "info");
+    const tx = await fundAnswerBounty(signer, currentProposal.questionId, amountWei);
+
+    setStatus("bounty-status", `Transaction sent: ${tx.hash}`, "info");
+    showToast("Bounty transaction submitted", "info");
+
+    const receipt = await tx.wait();
+    setStatus("bounty-status", `Confirmed in block ${receipt.blockNumber} ✓`, "success");
+    showToast("Bounty funded", "success");
+
+    const qs = await loadQuestionState(provider, currentProposal.questionId);
+    questionStates.set(currentProposal.questionId, qs);
+    await fetchAnswerHistory(provider, currentProposal.questionId);
+    await loadCachedData();
+    const refreshed = allProposals.find((p) => p.questionId === currentProposal.questionId) || currentProposal;
+    await openProposalDetail(refreshed, { updateRoute: false });
+  } catch (err) {
+    console.error("Bounty error:", err);
+    setStatus("bounty-status", `Error: ${err.reason || err.message}`, "error");
+    showToast(`Funding bounty failed: ${err.reason || err.message}`, "error");
+  } finally {
+    const qs = currentProposal ? questionStates.get(currentProposal.questionId) : null;
+    document.getElementById("btn-fund-bounty").disabled = !isConnected() || (qs?.isFinalized ?? false);
+  }
 }
 
 // ---- Execute Tx ----
@@ -1031,25 +1952,49 @@ function renderTxBundle(bundle, proposal) {
     verified = verifyTxBundle(bundle, proposal.txHashes);
   }
 
+  renderBundleDiagnosis(null);
+  renderSafeDiff(null);
   if (!verified.valid) {
     tbody.innerHTML = `<tr><td colspan="6" style="color:var(--accent-red)">⚠ ${verified.reason}</td></tr>`;
+
+    if (proposal.txHashes && proposal.txHashes.length > 0) {
+      const cell = tbody.querySelector("td");
+      const diagnoseBtn = document.createElement("button");
+      diagnoseBtn.className = "btn btn-secondary btn-small";
+      diagnoseBtn.textContent = "Diagnose mismatch";
+      diagnoseBtn.addEventListener("click", () => {
+        renderBundleDiagnosis(diagnoseTxBundle(bundle, proposal.txHashes, chainId));
+      });
+      cell.append(" ", diagnoseBtn);
+    }
   }
 
+  const execStates = getTxExecutionStates(proposal.executedTxs);
+
   for (let i = 0; i < bundle.transactions.length; i++) {
     const tx = bundle.transactions[i];
     const tr = document.createElement("tr");
+    const callTree = decodeTransaction(tx);
+    const execState = execStates ? execStates[i] : null;
     tr.innerHTML = `
       <td>${i}</td>
-      <td class="mono" title="${tx.to}">${tx.to.slice(0, 10)}…</td>
-      <td>${tx.value || "0"} wei</td>
-      <td class="mono" title="${tx.data}">${tx.data.length > 20 ? tx.data.slice(0, 20) + "…" : tx.data}</td>
+      <td class="mono" title="${tx.to}">${tx.to.slice(0, 10)}…${callTree.label ? `<div class="decoded-note">${callTree.label}</div>` : ""}</td>
+      <td title="${tx.value || "0"} wei">${ethers.formatEther(tx.value || "0")} ETH</td>
+      <td title="${tx.data.length > 200 ? tx.data.slice(0, 200) + "…" : tx.data}">${formatCallTreeHtml(callTree, String(i))}</td>
       <td>${tx.operation === 1 ? "DelegateCall" : "Call"}</td>
-      <td><button class="btn btn-primary btn-exec" data-index="${i}">Execute #${i}</button></td>
+      <td>${execState === "executed"
+        ? '<span class="badge badge-success">Executed ✓</span>'
+        : `<button class="btn btn-primary btn-exec" data-index="${i}">Execute #${i}</button>`}
+        ${execState === "blocked" ? '<div class="decoded-note">Blocked: earlier tx pending</div>' : ""}</td>
     `;
 
     const execBtn = tr.querySelector(".btn-exec");
-    execBtn.disabled = !isConnected();
-    execBtn.addEventListener("click", () => executeTx(proposal, bundle, i));
+    if (execBtn) {
+      // Unknown on-chain state leaves every button available; simulation still guards the call
+      execBtn.disabled = !isConnected() || !verified.valid || executeAllActive ||
+        (execState !== null && execState !== "next");
+      execBtn.addEventListener("click", () => executeTx(proposal, bundle, i));
+    }
     tbody.appendChild(tr);
   }
 }
@@ -1064,15 +2009,18 @@ function doImportBundle() {
   }
 
   try {
-    const transactions = JSON.parse(rawJson);
-    if (!Array.isArray(transactions) || transactions.length === 0) {
-      throw new Error("Bundle must be a non-empty array");
-    }
-
-    const bundle = importTxBundle(currentProposal.proposalId, transactions, chainId);
+    const input = JSON.parse(rawJson);
+    const bundle = importTxBundle(currentProposal.proposalId, input, chainId);
     saveTxBundle(bundle);
     renderTxBundle(bundle, currentProposal);
-    setStatus("exec-status", `Imported ${transactions.length} transaction(s)`, "success");
+
+    const formatNames = { raw: "raw array", "tx-builder": "Transaction Builder", safesnap: "SafeSnap" };
+    const summary = `Imported ${bundle.transactions.length} transaction(s) from ${formatNames[bundle.format]}`;
+    if (bundle.warnings.length > 0) {
+      setStatus("exec-status", `${summary}. ⚠ ${bundle.warnings.join("; ")}`, "error");
+    } else {
+      setStatus("exec-status", summary, "success");
+    }
     showToast("Transaction bundle imported", "success");
   } catch (err) {
     setStatus("exec-status", `Import error: ${err.message}`, "error");
@@ -1080,6 +2028,453 @@ function doImportBundle() {
   }
 }
 
+async function doExportBundle() {
+  if (!currentProposal?.proposalId) return;
+
+  try {
+    const bundle = await loadTxBundle(currentProposal.proposalId);
+    if (!bundle) {
+      setStatus("exec-status", "No stored bundle for this proposal", "error");
+      return;
+    }
+
+    const batch = exportTxBuilderBatch(bundle, { chainId, safeAddress: moduleConfig?.avatar });
+    const blob = new Blob([JSON.stringify(batch, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `tx-builder-${currentProposal.proposalId.slice(0, 16)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    showToast(`Exported ${batch.transactions.length} call(s) for Transaction Builder`, "success");
+  } catch (err) {
+    setStatus("exec-status", `Export error: ${err.message}`, "error");
+    showToast(`Export failed: ${err.message}`, "error");
+  }
+}
+
+async function doInvalidateProposal() {
+  if (!currentProposal || !provider || !isConnected() || !moduleConfig) return;
+
+  const qs = questionStates.get(currentProposal.questionId);
+  const { invalidation } = computeProposalStatus(qs, moduleConfig, currentProposal);
+  if (!invalidation) return;
+
+  const btn = document.getElementById("btn-invalidate");
+  try {
+    btn.disabled = true;
+    const signer = getSigner();
+    const proceed = await preflight("invalidate-simulation", () =>
+      simulateInvalidation(signer, currentProposal, invalidation)
+    );
+    if (!proceed) {
+      setStatus("invalidate-status", "Cancelled", "");
+      return;
+    }
+
+    setStatus("invalidate-status", "Submitting invalidation...", "info");
+    const tx = await invalidateProposal(signer, currentProposal, invalidation);
+    setStatus("invalidate-status", `Transaction sent: ${tx.hash}`, "info");
+
+    const receipt = await tx.wait();
+    setStatus("invalidate-status", `Invalidated in block ${receipt.blockNumber} ✓`, "success");
+    showToast("Proposal marked invalid", "success");
+
+    await refreshInvalidationStates([currentProposal]);
+    await loadCachedData();
+    const refreshed = allProposals.find((p) => p.questionId === currentProposal.questionId) || currentProposal;
+    await openProposalDetail(refreshed, { updateRoute: false });
+  } catch (err) {
+    console.error("Invalidation error:", err);
+    setStatus("invalidate-status", `Error: ${err.reason || err.message}`, "error");
+    showToast(`Invalidation failed: ${err.reason || err.message}`, "error");
+  } finally {
+    btn.disabled = !isConnected();
+  }
+}
+
+// ---- Create Proposal ----
+
+function updateCreateProposalControls() {
+  document.getElementById("create-proposal-wallet-warning").classList.toggle("hidden", isConnected());
+  document.getElementById("btn-submit-proposal").disabled =
+    !isConnected() || !pendingProposal || !pendingProposal.prep.askable;
+}
+
+function resetCreateProposal() {
+  pendingProposal = null;
+  renderProposalPreview(null);
+  setStatus("create-proposal-simulation", "");
+  updateCreateProposalControls();
+}
+
+function doToggleCreateProposal() {
+  toggleCreateProposal();
+  updateCreateProposalControls();
+}
+
+async function doPreviewProposal() {
+  if (!provider || !moduleConfig) {
+    showToast("Connect to RPC first", "warning");
+    return;
+  }
+
+  const proposalId = document.getElementById("input-create-proposal-id").value.trim();
+  const rawJson = document.getElementById("input-create-bundle").value.trim();
+  if (!proposalId || !rawJson) {
+    setStatus("create-proposal-status", "Enter a proposal ID and paste a transaction bundle JSON", "error");
+    return;
+  }
+
+  resetCreateProposal();
+  try {
+    setStatus("create-proposal-status", "Building question...", "info");
+    const bundle = importTxBundle(proposalId, JSON.parse(rawJson), chainId);
+    const prep = await prepareProposal(provider, proposalId, bundle);
+    pendingProposal = { bundle, prep };
+
+    renderProposalPreview(prep, prep.askable ? buildProposalPreview(prep) : null);
+    updateCreateProposalControls();
+
+    const summary = `${bundle.transactions.length} transaction(s) hashed for this module`;
+    if (bundle.warnings.length > 0) {
+      setStatus("create-proposal-status", `${summary}. ⚠ ${bundle.warnings.join("; ")}`, "error");
+    } else {
+      setStatus("create-proposal-status", summary, prep.askable ? "success" : "error");
+    }
+  } catch (err) {
+    setStatus("create-proposal-status", `Preview error: ${err.shortMessage || err.message}`, "error");
+  }
+}
+
+async function doSubmitProposal() {
+  if (!pendingProposal || !provider || !isConnected()) return;
+
+  const { bundle, prep } = pendingProposal;
+  const btn = document.getElementById("btn-submit-proposal");
+  try {
+    btn.disabled = true;
+    const signer = getSigner();
+    const proceed = await preflight("create-proposal-simulation", () => simulateProposal(signer, prep));
+    if (!proceed) {
+      setStatus("create-proposal-status", "Cancelled", "");
+      return;
+    }
+
+    setStatus("create-proposal-status", "Submitting proposal...", "info");
+    const tx = await submitProposal(signer, prep);
+    setStatus("create-proposal-status", `Transaction sent: ${tx.hash}`, "info");
+
+    const receipt = await tx.wait();
+    const questionId = findCreatedQuestionId(receipt) || prep.expectedQuestionId;
+    await saveTxBundle(bundle);
+    setStatus("create-proposal-status", `Proposal asked as ${questionId} in block ${receipt.blockNumber} ✓`, "success");
+    showToast("Proposal created", "success");
+
+    resetCreateProposal();
+    await runIncrementalSync();
+    const created = allProposals.find((p) => p.questionId.toLowerCase() === questionId);
+    if (created) {
+      toggleCreateProposal();
+      await openProposalDetail(created);
+    }
+  } catch (err) {
+    console.error("Create proposal error:", err);
+    setStatus("create-proposal-status", `Error: ${err.reason || err.message}`, "error");
+    showToast(`Proposal failed: ${err.reason || err.message}`, "error");
+  } finally {
+    updateCreateProposalControls();
+  }
+}
+
+async function doRecheckIntegrity() {
+  if (!currentProposal || !provider) {
+    showToast("Connect to RPC first", "warning");
+    return;
+  }
+
+  try {
+    const qs = await loadQuestionState(provider, currentProposal.questionId);
+    questionStates.set(currentProposal.questionId, qs);
+    await verifyIntegrity([currentProposal], { force: true });
+    renderIntegrity(currentProposal.integrity);
+    refreshUI();
+  } catch (err) {
+    showToast(`Integrity check failed: ${err.message}`, "error");
+  }
+}
+
+async function doSimulateExecution() {
+  if (!currentProposal?.proposalId || !provider || !moduleConfig) {
+    showToast("Connect to RPC first", "warning");
+    return;
+  }
+
+  try {
+    const bundle = await loadTxBundle(currentProposal.proposalId);
+    if (!bundle) {
+      setStatus("exec-status", "No stored bundle for this proposal", "error");
+      return;
+    }
+
+    const overridesText = document.getElementById("input-state-overrides").value.trim();
+    let stateOverrides = null;
+    if (overridesText) {
+      try {
+        stateOverrides = JSON.parse(overridesText);
+      } catch (err) {
+        setStatus("exec-status", `State overrides are not valid JSON: ${err.message}`, "error");
+        return;
+      }
+    }
+
+    setStatus("exec-status", "Simulating execution against the current head...", "info");
+    const result = await simulateProposalExecution(provider, {
+      proposal: currentProposal,
+      bundle,
+      moduleConfig,
+      stateOverrides,
+    });
+    renderSafeDiff(result);
+
+    const failed = result.txs.filter((t) => !t.ok).length;
+    const changed = result.diff.filter((r) => r.changed).length;
+    setStatus(
+      "exec-status",
+      failed
+        ? `Simulation: ${failed} of ${result.txs.length} transaction(s) fail`
+        : `Simulation: all ${result.txs.length} transaction(s) succeed, ${changed} Safe field(s) change`,
+      failed ? "error" : "success"
+    );
+  } catch (err) {
+    console.error("Execution simulation error:", err);
+    setStatus("exec-status", `Simulation error: ${err.message}`, "error");
+  }
+}
+
+/**
+ * Run the bundle's remaining transactions in order: simulate, send, wait,
+ * repeat. The run record is saved after every step and pauses on the first
+ * failure; calling again resumes from the first unexecuted index.
+ */
+async function doExecuteAll() {
+  if (!currentProposal?.proposalId || !provider || executeAllActive) return;
+  if (!isConnected()) {
+    showToast("Connect wallet first", "warning");
+    return;
+  }
+
+  const proposal = currentProposal;
+  const viewing = () => currentProposal?.proposalId === proposal.proposalId;
+  const bundle = await loadTxBundle(proposal.proposalId);
+  if (!bundle) {
+    setStatus("exec-status", "No stored bundle for this proposal", "error");
+    return;
+  }
+  const verified = verifyTxBundle(bundle, proposal.txHashes || []);
+  if (!verified.valid) {
+    setStatus("exec-status", `Cannot execute: ${verified.reason}`, "error");
+    return;
+  }
+
+  let run = await loadExecutionRun(proposal.proposalId);
+  executeAllActive = true;
+  executeAllPauseRequested = false;
+  updateExecuteAllControls(proposal, run);
+
+  try {
+    // A transaction sent before a reload may still be in flight
+    if (run?.pendingTx) {
+      const { index, hash } = run.pendingTx;
+      setStatus("exec-status", `Waiting for tx #${index} sent earlier...`, "info");
+      const outcome = await waitForExecution(proposal, index, hash,
+        () => provider.waitForTransaction(hash, 1, EXECUTION_WAIT_TIMEOUT_MS));
+      if (!settleRunTx(run, index, outcome)) return;
+    }
+
+    await refreshExecutionStates([proposal], { force: true });
+    if (!proposal.executedTxs) {
+      const reason = "Could not read the execution state from the module; check the RPC and try again";
+      if (run) {
+        run.status = "paused";
+        run.pauseReason = reason;
+      } else {
+        setStatus("exec-status", `Execute all: ${reason}`, "error");
+      }
+      return;
+    }
+    const start = proposal.executedTxs.indexOf(false);
+    if (start === -1) {
+      if (run) run.status = "done";
+      showToast("All transactions are already executed", "success");
+      return;
+    }
+
+    if (!run || run.status === "done") {
+      const last = bundle.transactions.length - 1;
+      const confirmed = window.confirm(
+        `Execute transactions #${start}–#${last} (${last - start + 1}) in sequence?\n\n` +
+        "Each transaction is simulated before your wallet is asked to sign. " +
+        "The run pauses on the first failure and can be resumed later, even after a reload."
+      );
+      if (!confirmed) return;
+      run = createExecutionRun(proposal.proposalId, start, bundle.transactions.length);
+    }
+    run.status = "running";
+    run.pauseReason = "";
+    run.nextIndex = start;
+    await saveExecutionRun(run);
+    if (viewing()) renderExecutionRun(run);
+
+    const signer = getSigner();
+    for (let i = start; i < bundle.transactions.length; i++) {
+      if (executeAllPauseRequested) {
+        run.status = "paused";
+        run.pauseReason = "Paused by user";
+        break;
+      }
+
+      const tx = bundle.transactions[i];
+      run.nextIndex = i;
+      setStatus("exec-status", `Execute all: simulating #${i}...`, "info");
+      const sim = await simulateExecuteProposalTx(signer, proposal.proposalId, proposal.txHashes, tx, i);
+      if (!sim.ok) {
+        run.log.push({ index: i, status: "failed", message: formatSimulation(sim) });
+        run.status = "paused";
+        run.pauseReason = `Transaction #${i} would fail`;
+        break;
+      }
+
+      setStatus("exec-status", `Execute all: confirm #${i} in your wallet...`, "info");
+      const sent = await executeProposalTx(signer, proposal.proposalId, proposal.txHashes, tx, i);
+      run.pendingTx = { index: i, hash: sent.hash };
+      await saveExecutionRun(run);
+      if (viewing()) renderExecutionRun(run);
+
+      setStatus("exec-status", `Execute all: waiting for #${i} (${sent.hash})...`, "info");
+      const outcome = await waitForExecution(proposal, i, sent.hash, () => sent.wait(1, EXECUTION_WAIT_TIMEOUT_MS));
+      if (!settleRunTx(run, i, outcome)) break;
+      run.nextIndex = i + 1;
+      await saveExecutionRun(run);
+
+      await refreshExecutionStates([proposal], { force: true });
+      if (viewing()) {
+        renderTxBundle(bundle, proposal);
+        renderExecutionRun(run);
+      }
+    }
+
+    if (run.status === "running") {
+      run.status = "done";
+      setStatus("exec-status", "Execute all: every transaction executed ✓", "success");
+      showToast("All proposal transactions executed", "success");
+    }
+  } catch (err) {
+    console.error("Execute-all error:", err);
+    const message = err.reason || err.shortMessage || err.message;
+    if (run) {
+      // A mined-but-reverted tx has a receipt; anything else may still be pending
+      if (run.pendingTx && err.receipt) run.pendingTx = null;
+      run.log.push({ index: run.nextIndex, status: "failed", message });
+      run.status = "paused";
+      run.pauseReason = message;
+    }
+    setStatus("exec-status", `Execute all paused: ${message}`, "error");
+    showToast(`Execute all paused: ${message}`, "error");
+  } finally {
+    executeAllActive = false;
+    // Finished runs stay on screen until the detail view is reloaded
+    if (run?.status === "done") await clearExecutionRun(run.proposalId);
+    else if (run) await saveExecutionRun(run);
+    refreshUI();
+    if (viewing()) {
+      renderExecutionRun(run);
+      updateExecuteAllControls(proposal, run);
+      if (run?.status === "paused") setStatus("exec-status", `Execute all paused: ${run.pauseReason}`, "error");
+    }
+  }
+}
+
+/**
+ * Wait for an execute-all transaction, at most EXECUTION_WAIT_TIMEOUT_MS.
+ * A repriced replacement stands in for the original. When the transaction was
+ * cancelled or no receipt arrived in time, executedProposalTransactions tells
+ * whether the index got executed anyway.
+ *
+ * @returns {{ receipt, hash }} - receipt is null when only the module state confirms it
+ *   | {{ stuck: string, dropped: boolean }} - dropped: the sent transaction can no longer be mined
+ */
+async function waitForExecution(proposal, index, hash, wait) {
+  try {
+    return { receipt: await wait(), hash };
+  } catch (err) {
+    const replaced = err.code === "TRANSACTION_REPLACED";
+    if (replaced && !err.cancelled) return { receipt: err.receipt, hash: err.replacement.hash };
+    if (!replaced && err.code !== "TIMEOUT") throw err;
+
+    await refreshExecutionStates([proposal], { force: true });
+    if (proposal.executedTxs?.[index]) return { receipt: null, hash };
+    if (replaced) return { stuck: `Transaction #${index} was cancelled by a replacement`, dropped: true };
+    return {
+      stuck: `No receipt for #${index} after ${EXECUTION_WAIT_TIMEOUT_MS / 60000} min and it is not executed; ` +
+        "resume to keep waiting, or discard the run if it was dropped",
+      dropped: false,
+    };
+  }
+}
+
+/**
+ * Record a waitForExecution() outcome in the run. Returns true if the
+ * transaction executed and the run can go on.
+ */
+function settleRunTx(run, index, outcome) {
+  if (outcome.stuck) {
+    if (outcome.dropped) run.pendingTx = null;
+    run.status = "paused";
+    run.pauseReason = outcome.stuck;
+    return false;
+  }
+
+  run.pendingTx = null;
+  const { receipt, hash } = outcome;
+  if (receipt && receipt.status !== 1) {
+    run.log.push({ index, status: "failed", hash, message: `Reverted in block ${receipt.blockNumber}` });
+    run.status = "paused";
+    run.pauseReason = `Transaction #${index} reverted`;
+    return false;
+  }
+  const message = receipt ? `Executed in block ${receipt.blockNumber}` : "Executed (confirmed by the module state)";
+  run.log.push({ index, status: "executed", hash, message });
+  return true;
+}
+
+/**
+ * Drop the stored execute-all run, including a pending transaction that never
+ * got a receipt. Execution state is re-read from the module.
+ */
+async function doDiscardExecuteAll() {
+  const proposal = currentProposal;
+  if (!proposal?.proposalId || executeAllActive) return;
+
+  const run = await loadExecutionRun(proposal.proposalId);
+  if (!run) return;
+  if (run.pendingTx && !window.confirm(
+    `Transaction #${run.pendingTx.index} (${run.pendingTx.hash}) has no receipt yet and may still be mined.\n\n` +
+    "Discard the run anyway?"
+  )) return;
+
+  await clearExecutionRun(proposal.proposalId);
+  await refreshExecutionStates([proposal], { force: true });
+  refreshUI();
+  await updateExecuteSection(proposal);
+  setStatus("exec-status", "Execute-all run discarded", "info");
+}
+
+function doPauseExecuteAll() {
+  executeAllPauseRequested = true;
+  setStatus("exec-status", "Pausing after the current transaction...", "info");
+}
+
 async function executeTx(proposal, bundle, txIndex) {
   if (!isConnected()) {
     showToast("Connect wallet first", "warning");
@@ -1087,9 +2482,18 @@ async function executeTx(proposal, bundle, txIndex) {
   }
 
   const tx = bundle.transactions[txIndex];
+  const signer = getSigner();
+
+  setStatus("exec-simulation", `Simulating tx #${txIndex}...`, "info");
+  const sim = await simulateExecuteProposalTx(signer, proposal.proposalId, proposal.txHashes, tx, txIndex);
+  setStatus("exec-simulation", `Tx #${txIndex}: ${formatSimulation(sim)}`, sim.ok ? "success" : "error");
+
   const confirmed = window.confirm(
+    `${sim.ok ? "" : "⚠ THIS TRANSACTION IS EXPECTED TO FAIL\n"}${formatSimulation(sim)}\n\n` +
     `Execute transaction #${txIndex}?\n\n` +
-    `To: ${tx.to}\nValue: ${tx.value} wei\nData: ${tx.data.slice(0, 66)}...\nOperation: ${tx.operation}\n\n` +
+    `To: ${tx.to}\nValue: ${ethers.formatEther(tx.value || "0")} ETH (${tx.value} wei)\n` +
+    `Data: ${tx.data.slice(0, 66)}...\nOperation: ${tx.operation}\n\n` +
+    `${formatCallTreeText(decodeTransaction(tx))}\n\n` +
     "This calls executeProposalWithIndex on the Reality Module."
   );
 
@@ -1097,7 +2501,6 @@ async function executeTx(proposal, bundle, txIndex) {
 
   try {
     setStatus("exec-status", `Executing tx #${txIndex}...`, "info");
-    const signer = getSigner();
     const result = await executeProposalTx(
       signer,
       proposal.proposalId,
@@ -1112,6 +2515,10 @@ async function executeTx(proposal, bundle, txIndex) {
     const receipt = await result.wait();
     setStatus("exec-status", `Tx #${txIndex} executed in block ${receipt.blockNumber} ✓`, "success");
     showToast(`Transaction #${txIndex} executed successfully`, "success");
+
+    await refreshExecutionStates([proposal], { force: true });
+    renderTxBundle(bundle, proposal);
+    refreshUI();
   } catch (err) {
     console.error("Execution error:", err);
     setStatus("exec-status", `Error: ${err.reason || err.message}`, "error");
@@ -1126,6 +2533,7 @@ async function doConnectWallet() {
     disconnectWallet();
     updateWalletButton(null);
     showToast("Wallet disconnected", "info");
+    updateCreateProposalControls();
     refreshUI();
     return;
   }
@@ -1138,11 +2546,13 @@ async function doConnectWallet() {
     if (chainId && walletChainId !== chainId) {
       showToast(`Warning: wallet chain ${walletChainId}, RPC chain ${chainId}`, "warning");
     }
+    updateCreateProposalControls();
 
     if (currentProposal) {
       const qs = questionStates.get(currentProposal.questionId) || null;
       updateVoteSection(qs);
-      updateArbitrationSection(qs);
+      await updateBountySection(qs);
+      await updateArbitrationSection(qs);
       await updateExecuteSection(currentProposal);
       await updateClaimSection(currentProposal, qs);
     }
@@ -1160,21 +2570,93 @@ async function doSaveSettings() {
     return;
   }
 
+  const profile = readProfileFromUI();
+  try {
+    profile.moduleAddress = ethers.getAddress(profile.moduleAddress);
+    profile.oracleAddress = ethers.getAddress(profile.oracleAddress);
+  } catch {
+    setStatus("settings-status", "Module and oracle must be valid addresses", "error");
+    return;
+  }
+
+  upsertProfile({ ...profile, id: getActiveProfile().id });
+  populateProfiles(loadProfiles());
   saveSettings(settings);
   stopPolling();
   await connectRPC(settings.rpcUrl, settings.rpcFallback);
 }
 
-async function doReindex() {
-  const confirmed = window.confirm("This clears cached data and re-indexes from scratch. Continue?");
-  if (!confirmed) return;
+// ---- Deployment Profiles ----
 
-  await dbClearAll();
+function resetProposalView() {
   allProposals = [];
   questionStates = new Map();
   currentProposal = null;
   hideDetail();
   clearProposalRoute();
+  resetCreateProposal();
+}
+
+async function switchProfile(profileId) {
+  setActiveProfile(profileId);
+  populateProfiles(loadProfiles());
+  stopPolling();
+  resetProposalView();
+
+  const settings = loadSettings();
+  showToast(`Switched to profile "${getActiveProfile().label}"`, "info");
+  await connectRPC(settings.rpcUrl, settings.rpcFallback);
+}
+
+async function doSwitchProfile(event) {
+  const profileId = event.target.value;
+  if (!profileId || profileId === getActiveProfile().id) return;
+  await switchProfile(profileId);
+}
+
+function doNewProfile() {
+  const label = window.prompt("Name for the new deployment profile:");
+  if (!label || !label.trim()) return;
+
+  // Start from the active profile so same-chain deployments only need the module address changed
+  const profile = upsertProfile({
+    ...getActiveProfile(),
+    id: createProfileId(label),
+    label: label.trim(),
+  });
+  setActiveProfile(profile.id);
+  populateProfiles(loadProfiles());
+  setStatus("settings-status", `Created profile "${profile.label}". Edit its addresses, then Save & Connect.`, "info");
+}
+
+async function doDeleteProfile() {
+  const profile = getActiveProfile();
+  const confirmed = window.confirm(`Delete deployment profile "${profile.label}"?`);
+  if (!confirmed) return;
+
+  try {
+    deleteProfile(profile.id);
+  } catch (err) {
+    setStatus("settings-status", err.message, "error");
+    return;
+  }
+
+  await switchProfile(loadProfiles().activeProfileId);
+}
+
+async function doReindex() {
+  if (!provider) {
+    showToast("Connect to an RPC first", "warning");
+    return;
+  }
+
+  const confirmed = window.confirm("This clears cached data and re-indexes from scratch. Continue?");
+  if (!confirmed) return;
+
+  // User-maintained decoder signatures, ABIs and unrevealed commitment nonces are not cache; keep them,
+  // along with execute-all resume state (sent tx hashes) and the getLogs ranges learned per RPC
+  await dbClearAll(["signatures", "abis", "commitments"], ["executionRun:", "logRanges"]);
+  resetProposalView();
   refreshUI();
   showToast("Cache cleared", "info");
 
@@ -1188,7 +2670,7 @@ async function doExportDB() {
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
-    a.download = `gcc-backup-${new Date().toISOString().slice(0, 10)}.json`;
+    a.download = `gcc-backup-chain${chainId}-${new Date().toISOString().slice(0, 10)}.json`;
     a.click();
     URL.revokeObjectURL(url);
     showToast("Database exported", "success");
@@ -1209,6 +2691,8 @@ async function doImportDBFile(event) {
     const text = await file.text();
     const data = JSON.parse(text);
     await importDB(data);
+    await loadDecoderRegistry();
+    refreshDecoderRegistry();
     await loadCachedData();
     showToast("Database imported successfully", "success");
   } catch (err) {
@@ -1216,17 +2700,83 @@ async function doImportDBFile(event) {
   }
 }
 
+// ---- Calldata Decoder Registry ----
+
+function refreshDecoderRegistry() {
+  renderDecoderRegistry(
+    getDecoderRegistrySummary(),
+    async (signature) => {
+      await removeSignature(signature);
+      refreshDecoderRegistry();
+      refreshBundleView();
+    },
+    async (address) => {
+      await removeAbi(address);
+      refreshDecoderRegistry();
+      refreshBundleView();
+    }
+  );
+}
+
+async function refreshBundleView() {
+  if (currentProposal) {
+    await updateExecuteSection(currentProposal);
+  }
+}
+
+async function doAddSignatures() {
+  const lines = document.getElementById("input-signatures").value.split("\n");
+  try {
+    const added = await addSignatures(lines);
+    document.getElementById("input-signatures").value = "";
+    setStatus("decoder-status", `Added ${added} signature(s)`, "success");
+    refreshDecoderRegistry();
+    await refreshBundleView();
+  } catch (err) {
+    setStatus("decoder-status", `Invalid signature: ${err.shortMessage || err.message}`, "error");
+  }
+}
+
+async function doImportAbi() {
+  const address = document.getElementById("input-abi-address").value.trim();
+  const label = document.getElementById("input-abi-label").value;
+  const abiJson = document.getElementById("input-abi-json").value.trim();
+
+  try {
+    const record = await importAbi(address, abiJson, label);
+    document.getElementById("input-abi-json").value = "";
+    setStatus("decoder-status", `Imported ABI for ${record.address} (${record.functionCount} functions)`, "success");
+    refreshDecoderRegistry();
+    await refreshBundleView();
+  } catch (err) {
+    setStatus("decoder-status", `ABI import failed: ${err.shortMessage || err.message}`, "error");
+  }
+}
+
 // ---- Event Bindings ----
 
 function bindEvents() {
   document.getElementById("btn-wallet").addEventListener("click", doConnectWallet);
   document.getElementById("btn-settings").addEventListener("click", toggleSettings);
+  document.getElementById("btn-new-proposal").addEventListener("click", doToggleCreateProposal);
+  document.getElementById("btn-preview-proposal").addEventListener("click", doPreviewProposal);
+  document.getElementById("btn-submit-proposal").addEventListener("click", doSubmitProposal);
+  ["input-create-proposal-id", "input-create-bundle"].forEach((id) =>
+    document.getElementById(id).addEventListener("input", () => {
+      if (pendingProposal) resetCreateProposal();
+    })
+  );
 
   document.getElementById("btn-save-settings").addEventListener("click", doSaveSettings);
+  document.getElementById("input-profile").addEventListener("change", doSwitchProfile);
+  document.getElementById("btn-new-profile").addEventListener("click", doNewProfile);
+  document.getElementById("btn-delete-profile").addEventListener("click", doDeleteProfile);
   document.getElementById("btn-reindex").addEventListener("click", doReindex);
   document.getElementById("btn-export-db").addEventListener("click", doExportDB);
   document.getElementById("btn-import-db").addEventListener("click", doImportDBClick);
   document.getElementById("file-import-db").addEventListener("change", doImportDBFile);
+  document.getElementById("btn-add-signatures").addEventListener("click", doAddSignatures);
+  document.getElementById("btn-import-abi").addEventListener("click", doImportAbi);
 
   document.getElementById("btn-refresh").addEventListener("click", async () => {
     if (!provider) {
@@ -1248,7 +2798,7 @@ function bindEvents() {
       console.error("Refresh error:", err);
       showToast(`Refresh error: ${err.message}`, "error");
     }
-    updateSyncBadge("Synced ✓", "success");
+    await updateSyncedBadge();
   });
 
   document.getElementById("search-proposals").addEventListener("input", refreshUI);
@@ -1261,20 +2811,35 @@ function bindEvents() {
     refreshUI();
   });
 
-  document.getElementById("btn-vote-yes").addEventListener("click", () => selectAnswer(true));
-  document.getElementById("btn-vote-no").addEventListener("click", () => selectAnswer(false));
+  Object.entries(VOTE_BUTTON_IDS).forEach(([choice, id]) => {
+    document.getElementById(id).addEventListener("click", () => selectAnswer(choice));
+  });
   document.getElementById("btn-submit-vote").addEventListener("click", doSubmitVote);
+  document.getElementById("btn-plan-bonds").addEventListener("click", doPlanBonds);
 
   document.getElementById("input-bond").addEventListener("input", () => {
-    if (selectedAnswer !== null) selectAnswer(selectedAnswer === "yes");
+    if (selectedAnswer !== null) selectAnswer(selectedAnswer);
   });
   document.getElementById("input-max-previous").addEventListener("input", () => {
-    if (selectedAnswer !== null) selectAnswer(selectedAnswer === "yes");
+    if (selectedAnswer !== null) selectAnswer(selectedAnswer);
+  });
+  document.getElementById("input-commit-reveal").addEventListener("change", () => {
+    if (selectedAnswer !== null) selectAnswer(selectedAnswer);
   });
 
+  document.getElementById("btn-export-timeline").addEventListener("click", doExportTimeline);
+  document.getElementById("btn-preview-bounty").addEventListener("click", doPreviewBounty);
+  document.getElementById("btn-fund-bounty").addEventListener("click", doFundBounty);
   document.getElementById("btn-init-arbitration").addEventListener("click", doInitiateArbitration);
 
   document.getElementById("btn-import-bundle").addEventListener("click", doImportBundle);
+  document.getElementById("btn-export-bundle").addEventListener("click", doExportBundle);
+  document.getElementById("btn-simulate-execution").addEventListener("click", doSimulateExecution);
+  document.getElementById("btn-execute-all").addEventListener("click", doExecuteAll);
+  document.getElementById("btn-pause-execute-all").addEventListener("click", doPauseExecuteAll);
+  document.getElementById("btn-discard-execute-all").addEventListener("click", doDiscardExecuteAll);
+  document.getElementById("btn-recheck-integrity").addEventListener("click", doRecheckIntegrity);
+  document.getElementById("btn-invalidate").addEventListener("click", doInvalidateProposal);
 
   document.getElementById("btn-claim-winnings").addEventListener("click", doClaimWinnings);
   document.getElementById("btn-withdraw-balance").addEventListener("click", doWithdrawBalance);
@@ -1287,7 +2852,8 @@ function bindEvents() {
       if (currentProposal) {
         const qs = questionStates.get(currentProposal.questionId) || null;
         updateVoteSection(qs);
-        updateArbitrationSection(qs);
+        await updateBountySection(qs);
+        await updateArbitrationSection(qs);
         await updateExecuteSection(currentProposal);
         await updateClaimSection(currentProposal, qs);
       }
@@ -0,0 +1,171 @@
+/**
+ * arbitration.js — Request arbitration through the question's arbitrator
+ *
+ * Reality.eth only accepts notifyOfArbitrationRequest from the question's
+ * arbitrator, so requests go through the arbitrator contract's
+ * requestArbitration, paid with its getDisputeFee. The arbitrator's interface
+ * is probed to tell a Kleros proxy from a generic Reality.eth arbitrator; an
+ * EOA arbitrator can only notify the oracle from its own account.
+ */
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@6.13.4/+esm";
+import { getArbitratorContract, getOracle, getRealitioContract } from "./contracts.js";
+import { simulateContractCall } from "./simulate.js";
+
+// Lowercased arbitrator address → { kind, label, court, realitio }
+const detected = new Map();
+
+async function probe(read) {
+  try {
+    return await read();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Work out which kind of arbitrator lives at `address` (cached per address).
+ * "kleros" exposes arbitrator(); any other contract is taken for a generic
+ * Reality.eth arbitrator until getDisputeFee() proves otherwise.
+ */
+async function detectArbitrator(provider, address) {
+  const key = address.toLowerCase();
+  if (detected.has(key)) return detected.get(key);
+
+  let info;
+  const code = await provider.getCode(address);
+  if (code === "0x") {
+    info = { kind: "eoa", label: "Externally owned account", court: null, realitio: null };
+  } else {
+    const arb = getArbitratorContract(address, provider);
+    const [court, realitio] = await Promise.all([probe(() => arb.arbitrator()), probe(() => arb.realitio())]);
+    info = court
+      ? { kind: "kleros", label: "Kleros Reality proxy", court, realitio }
+      : { kind: "reality", label: "Reality.eth arbitrator", court: null, realitio };
+  }
+
+  detected.set(key, info);
+  return info;
+}
+
+/**
+ * Describe the question's arbitrator and what a request costs right now.
+ *
+ * kind is "kleros" | "reality" (request through the contract), "eoa" (only
+ * the arbitrator account can notify the oracle) or "unknown" (no
+ * getDisputeFee, so the app cannot route the request).
+ *
+ * @param {ethers.Provider} provider
+ * @param {string} arbitratorAddress - questions().arbitrator
+ * @param {string} questionId
+ * @returns {{ address, kind, label, court, realitio, disputeFee, paid, remaining, warning }}
+ */
+export async function loadArbitrator(provider, arbitratorAddress, questionId) {
+  const info = await detectArbitrator(provider, arbitratorAddress);
+  const result = { address: arbitratorAddress, ...info, disputeFee: null, paid: "0", remaining: null, warning: null };
+  if (info.kind === "eoa") {
+    result.warning = "The arbitrator is an account, not a contract; only that account can notify the oracle";
+    return result;
+  }
+
+  const arb = getArbitratorContract(arbitratorAddress, provider);
+  const [fee, paid] = await Promise.all([
+    probe(() => arb.getDisputeFee(questionId)),
+    info.kind === "reality" ? probe(() => arb.arbitration_bounties(questionId)) : null,
+  ]);
+
+  if (fee === null) {
+    return {
+      ...result,
+      kind: "unknown",
+      label: "Unknown arbitrator contract",
+      warning: "The arbitrator has no getDisputeFee(); request arbitration through its own interface",
+    };
+  }
+
+  const paidWei = paid ?? 0n;
+  result.disputeFee = fee.toString();
+  result.paid = paidWei.toString();
+  result.remaining = (fee > paidWei ? fee - paidWei : 0n).toString();
+
+  const oracle = getOracle().address;
+  if (info.realitio && info.realitio.toLowerCase() !== oracle.toLowerCase()) {
+    result.warning = `The arbitrator reports to oracle ${info.realitio}, not ${oracle}`;
+  } else if (fee === 0n && info.kind === "reality") {
+    result.warning = "The arbitrator has not set a dispute fee for this question";
+  }
+  return result;
+}
+
+/**
+ * Build the arbitration call for a loadArbitrator() result.
+ */
+function arbitrationCall(providerOrSigner, arbitrator, questionId, maxPreviousWei, feeWei, requester) {
+  const maxPrev = BigInt(maxPreviousWei || "0");
+
+  if (arbitrator.kind === "eoa") {
+    return {
+      contract: getRealitioContract(providerOrSigner),
+      label: getOracle().label,
+      method: "notifyOfArbitrationRequest",
+      args: [questionId, requester, maxPrev],
+      params: { question_id: questionId, requester, max_previous: maxPreviousWei },
+      overrides: {},
+    };
+  }
+  if (arbitrator.kind === "unknown") {
+    throw new Error("Unsupported arbitrator: no getDisputeFee()");
+  }
+
+  return {
+    contract: getArbitratorContract(arbitrator.address, providerOrSigner),
+    label: arbitrator.label,
+    method: "requestArbitration",
+    args: [questionId, maxPrev],
+    params: { question_id: questionId, max_previous: maxPreviousWei },
+    overrides: { value: BigInt(feeWei || "0") },
+  };
+}
+
+/**
+ * Request arbitration for a question through its arbitrator.
+ *
+ * @param {ethers.Signer} signer
+ * @param {object} arbitrator - from loadArbitrator()
+ * @param {string} questionId
+ * @param {string} maxPreviousWei
+ * @param {string} feeWei - ETH sent to the arbitrator (ignored for EOA arbitrators)
+ * @returns {ethers.TransactionResponse}
+ */
+export async function requestArbitration(signer, arbitrator, questionId, maxPreviousWei, feeWei) {
+  const requester = await signer.getAddress();
+  const { contract, method, args, overrides } =
+    arbitrationCall(signer, arbitrator, questionId, maxPreviousWei, feeWei, requester);
+  return contract[method](...args, overrides);
+}
+
+/**
+ * Simulate the arbitration request from the signer's address.
+ */
+export async function simulateArbitrationRequest(signer, arbitrator, questionId, maxPreviousWei, feeWei) {
+  const requester = await signer.getAddress();
+  const { contract, method, args, overrides } =
+    arbitrationCall(signer, arbitrator, questionId, maxPreviousWei, feeWei, requester);
+  return simulateContractCall(contract, method, args, overrides);
+}
+
+/**
+ * Build a preview of the arbitration request.
+ */
+export function buildArbitrationPreview(arbitrator, questionId, maxPreviousWei, feeWei, requester) {
+  const { contract, label, method, params, overrides } =
+    arbitrationCall(null, arbitrator, questionId, maxPreviousWei, feeWei, requester || ethers.ZeroAddress);
+  const value = overrides.value ?? 0n;
+  return {
+    contract: label,
+    to: contract.target,
+    method: contract.interface.getFunction(method).format(),
+    params,
+    value: `${ethers.formatEther(value)} ETH`,
+    valueWei: value.toString(),
+  };
+}
@@ -0,0 +1,101 @@
+/**
+ * bounty.js — Add to a question's answer bounty
+ *
+ * fundAnswerBounty adds msg.value (or tokens on ERC20 oracles) to the bounty
+ * paid to whoever gives the final answer. Each top-up emits
+ * LogFundAnswerBounty, which the indexer caches next to the answers.
+ */
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@6.13.4/+esm";
+import { getRealitioContract, getTokenContract, getOracle } from "./contracts.js";
+import { dbGetAllByIndex } from "./db.js";
+import { formatBond } from "./reality.js";
+import { simulateContractCall } from "./simulate.js";
+
+function bountyCall(signer, questionId, amountWei) {
+  const realitio = getRealitioContract(signer);
+
+  // ERC20 oracles pull the tokens; call ensureBondAllowance first
+  if (getOracle().erc20) {
+    return {
+      contract: realitio,
+      method: "fundAnswerBountyERC20",
+      args: [questionId, BigInt(amountWei)],
+      overrides: {},
+    };
+  }
+
+  return {
+    contract: realitio,
+    method: "fundAnswerBounty",
+    args: [questionId],
+    overrides: { value: BigInt(amountWei) },
+  };
+}
+
+/**
+ * Add `amountWei` to the question's bounty.
+ *
+ * @param {ethers.Signer} signer - Connected wallet signer
+ * @param {string} questionId - bytes32 question ID
+ * @param {string} amountWei - amount in wei or token base units (as string)
+ * @returns {ethers.TransactionResponse}
+ */
+export async function fundAnswerBounty(signer, questionId, amountWei) {
+  const { contract, method, args, overrides } = bountyCall(signer, questionId, amountWei);
+  return contract[method](...args, overrides);
+}
+
+/**
+ * Simulate fundAnswerBounty from the signer's address.
+ * Skipped on ERC20 oracles while the allowance is below the amount.
+ */
+export async function simulateFundBounty(signer, questionId, amountWei) {
+  const oracle = getOracle();
+  if (oracle.erc20) {
+    const token = getTokenContract(oracle.token.address, signer);
+    const allowance = await token.allowance(await signer.getAddress(), oracle.address);
+    if (allowance < BigInt(amountWei)) {
+      return { ok: true, skipped: true, gas: null, reason: `${oracle.token.symbol} approval pending`, hint: null };
+    }
+  }
+
+  const { contract, method, args, overrides } = bountyCall(signer, questionId, amountWei);
+  return simulateContractCall(contract, method, args, overrides);
+}
+
+/**
+ * Build a preview of the bounty top-up.
+ */
+export function buildBountyPreview(questionId, amountWei, currentBounty) {
+  const oracle = getOracle();
+  const after = BigInt(currentBounty || "0") + BigInt(amountWei);
+
+  if (oracle.erc20) {
+    return {
+      contract: oracle.label,
+      method: "fundAnswerBountyERC20(bytes32, uint256)",
+      params: { question_id: questionId, tokens: amountWei },
+      value: "0 ETH",
+      added: formatBond(amountWei),
+      bountyAfter: formatBond(after),
+      approval: `${oracle.token.symbol} allowance for ${oracle.address} is raised to the amount if needed`,
+    };
+  }
+
+  return {
+    contract: oracle.label,
+    method: "fundAnswerBounty(bytes32)",
+    params: { question_id: questionId },
+    value: `${ethers.formatEther(amountWei)} ETH`,
+    valueWei: amountWei,
+    bountyAfter: formatBond(after),
+  };
+}
+
+/**
+ * Cached LogFundAnswerBounty events for a question, oldest first.
+ */
+export async function loadBountyHistory(questionId) {
+  const events = await dbGetAllByIndex("bounties", "questionId", questionId);
+  return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
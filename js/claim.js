@@ -2,34 +2,24 @@
  * claim.js — Bond claiming for Reality.eth questions
  */
 import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@6.13.4/+esm";
-import { REALITIO_ADDRESS } from "./config.js";
+import { ANSWER_TOO_SOON, getActiveProfile } from "./config.js";
 import { dbGetAll } from "./db.js";
-import { getRealitioContract, realitioIface, topicHash } from "./contracts.js";
+import { getRealitioContract, getOracle, realitioIface, topicHash } from "./contracts.js";
+import { formatAnswer, normalizeAnswer } from "./reality.js";
+import { getLogsAdaptive } from "./logs.js";
+import { simulateContractCall } from "./simulate.js";
+import { loadAnswerCommitments } from "./vote.js";
 
 const DEFAULT_LOOKBACK_BLOCKS = 100000;
-const LOG_CHUNK = 5000;
-
-async function getLogsChunked(provider, filter, fromBlock, toBlock) {
-  const allLogs = [];
-  let current = fromBlock;
-
-  while (current <= toBlock) {
-    const end = Math.min(current + LOG_CHUNK - 1, toBlock);
-    // eslint-disable-next-line no-await-in-loop
-    const logs = await provider.getLogs({ ...filter, fromBlock: current, toBlock: end });
-    allLogs.push(...logs);
-    current = end + 1;
-  }
-
-  return allLogs;
-}
 
 /**
  * Fetch the full ordered answer history for a question from on-chain events.
- * Returns answers sorted chronologically (oldest first), each with history_hash.
+ * Returns answers sorted chronologically (oldest first), each with history_hash;
+ * committed entries carry their on-chain `commitment` state.
  */
 export async function getFullAnswerHistory(provider, questionId, fromBlock = 0) {
   const latestBlock = await provider.getBlockNumber();
+  const { deploymentBlock } = getActiveProfile();
 
   if (fromBlock === 0) {
     try {
@@ -38,19 +28,23 @@ export async function getFullAnswerHistory(provider, questionId, fromBlock = 0)
       if (proposal && proposal.createdBlock) {
         fromBlock = proposal.createdBlock;
       } else {
-        fromBlock = Math.max(0, latestBlock - DEFAULT_LOOKBACK_BLOCKS);
+        fromBlock = Math.max(deploymentBlock, latestBlock - DEFAULT_LOOKBACK_BLOCKS);
       }
     } catch {
-      fromBlock = Math.max(0, latestBlock - DEFAULT_LOOKBACK_BLOCKS);
+      fromBlock = Math.max(deploymentBlock, latestBlock - DEFAULT_LOOKBACK_BLOCKS);
     }
   }
 
   const filter = {
-    address: REALITIO_ADDRESS,
+    address: getOracle().address,
     topics: [topicHash(realitioIface, "LogNewAnswer"), questionId],
   };
 
-  const logs = await getLogsChunked(provider, filter, fromBlock, latestBlock);
+  const logs = await getLogsAdaptive(
+    (from, to) => provider.getLogs({ ...filter, fromBlock: from, toBlock: to }),
+    fromBlock,
+    latestBlock
+  );
 
   const answers = [];
   for (const log of logs) {
@@ -79,11 +73,23 @@ export async function getFullAnswerHistory(provider, questionId, fromBlock = 0)
     return a.logIndex - b.logIndex;
   });
 
-  return answers;
+  return loadAnswerCommitments(provider, answers);
+}
+
+/**
+ * The answer value an entry stands for: the revealed answer for commitments
+ * (null while unrevealed or unknown, since those can never win).
+ */
+function entryAnswer(entry) {
+  if (!entry.isCommitment) return normalizeAnswer(entry.answer);
+  return entry.commitment?.isRevealed ? normalizeAnswer(entry.commitment.revealedAnswer) : null;
 }
 
 /**
  * Determine which answers are claimable for a specific user.
+ * Only entries that gave the settled answer (any value, including INVALID or
+ * answered-too-soon) earn anything; the latest of them takes the bonds (and
+ * the bounty) and earlier ones get a takeover fee. Other answers lose their bond.
  */
 export function computeClaimableAnswers(answerHistory, questionState, userAddress) {
   if (!answerHistory || answerHistory.length === 0) return [];
@@ -95,6 +101,9 @@ export function computeClaimableAnswers(answerHistory, questionState, userAddres
   const isFinalized = questionState?.isFinalized || false;
   const finalizeTs = questionState?.finalizeTs || 0;
   const isPendingArbitration = questionState?.isPendingArbitration || false;
+  const settledAnswer = questionState ? normalizeAnswer(questionState.finalAnswer || questionState.bestAnswer) : null;
+  // An answered-too-soon question is reopened, which carries the bounty over
+  const bounty = settledAnswer === ANSWER_TOO_SOON ? "0" : (questionState?.bounty || "0");
   const now = Math.floor(Date.now() / 1000);
 
   for (let i = 0; i < answerHistory.length; i++) {
@@ -106,20 +115,29 @@ export function computeClaimableAnswers(answerHistory, questionState, userAddres
 
     let claimable = false;
     let reason = "";
+    let entryBounty = "0";
+
+    const isSettled = isFinalized || (finalizeTs > 0 && now >= finalizeTs);
+    const given = entryAnswer(entry);
 
     if (isPendingArbitration) {
       reason = "Pending arbitration — cannot claim yet";
+    } else if (isSettled && settledAnswer !== null && given !== settledAnswer) {
+      reason = given === null
+        ? "Committed answer never revealed — bond lost"
+        : `Answered ${formatAnswer(given)}, settled ${formatAnswer(settledAnswer)} — bond lost`;
     } else if (wasOutbid) {
-      if (isFinalized || (finalizeTs > 0 && now >= finalizeTs)) {
+      if (isSettled) {
         claimable = true;
-        reason = "Outbid — claimable (finalized)";
+        reason = "Outbid with the settled answer — takeover fee claimable";
       } else {
         reason = "Outbid — waiting for finalization";
       }
     } else if (isLastAnswer) {
-      if (isFinalized || (finalizeTs > 0 && now >= finalizeTs)) {
+      if (isSettled) {
         claimable = true;
-        reason = "Final answer — claimable";
+        entryBounty = bounty;
+        reason = bounty !== "0" ? "Final answer — claimable with the bounty" : "Final answer — claimable";
       } else {
         reason = finalizeTs > 0
           ? `Final answer — finalizes at ${new Date(finalizeTs * 1000).toLocaleString()}`
@@ -129,8 +147,9 @@ export function computeClaimableAnswers(answerHistory, questionState, userAddres
 
     results.push({
       index: i,
-      answer: entry.answer,
+      answer: given ?? entry.answer,
       bond: entry.bond,
+      bounty: entryBounty,
       ts: entry.ts,
       historyHash: entry.historyHash,
       user: entry.user,
@@ -146,7 +165,7 @@ export function computeClaimableAnswers(answerHistory, questionState, userAddres
 export function estimateClaimableAmount(claimableAnswers) {
   let total = 0n;
   for (const a of claimableAnswers) {
-    if (a.claimable) total += BigInt(a.bond);
+    if (a.claimable) total += BigInt(a.bond) + BigInt(a.bounty || "0");
   }
   return total;
 }
@@ -166,16 +185,25 @@ export function buildClaimArrays(answerHistory) {
   return { historyHashes, addrs, bonds, answers };
 }
 
-export async function claimWinnings(signer, questionId, answerHistory) {
-  const realitio = getRealitioContract(signer);
+function claimWinningsArgs(questionId, answerHistory) {
   const { historyHashes, addrs, bonds, answers } = buildClaimArrays(answerHistory);
-
-  return realitio.claimWinnings(questionId, historyHashes, addrs, bonds, answers);
+  return [questionId, historyHashes, addrs, bonds, answers];
 }
 
-export async function claimMultipleAndWithdraw(signer, claims) {
+export async function claimWinnings(signer, questionId, answerHistory) {
   const realitio = getRealitioContract(signer);
+  return realitio.claimWinnings(...claimWinningsArgs(questionId, answerHistory));
+}
 
+export async function simulateClaimWinnings(signer, questionId, answerHistory) {
+  return simulateContractCall(
+    getRealitioContract(signer),
+    "claimWinnings",
+    claimWinningsArgs(questionId, answerHistory)
+  );
+}
+
+function claimMultipleArgs(claims) {
   const questionIds = [];
   const lengths = [];
   const allHistoryHashes = [];
@@ -194,13 +222,19 @@ export async function claimMultipleAndWithdraw(signer, claims) {
     allAnswers.push(...answers);
   }
 
-  return realitio.claimMultipleAndWithdrawBalance(
-    questionIds,
-    lengths,
-    allHistoryHashes,
-    allAddrs,
-    allBonds,
-    allAnswers
+  return [questionIds, lengths, allHistoryHashes, allAddrs, allBonds, allAnswers];
+}
+
+export async function claimMultipleAndWithdraw(signer, claims) {
+  const realitio = getRealitioContract(signer);
+  return realitio.claimMultipleAndWithdrawBalance(...claimMultipleArgs(claims));
+}
+
+export async function simulateClaimMultipleAndWithdraw(signer, claims) {
+  return simulateContractCall(
+    getRealitioContract(signer),
+    "claimMultipleAndWithdrawBalance",
+    claimMultipleArgs(claims)
   );
 }
 
@@ -209,6 +243,10 @@ export async function withdrawBalance(signer) {
   return realitio.withdraw();
 }
 
+export async function simulateWithdraw(signer) {
+  return simulateContractCall(getRealitioContract(signer), "withdraw", []);
+}
+
 export async function getUnclaimedBalance(provider, address) {
   const realitio = getRealitioContract(provider);
   return realitio.balanceOf(address);
@@ -217,7 +255,7 @@ export async function getUnclaimedBalance(provider, address) {
 export function buildClaimPreview(questionId, answerHistory) {
   const { historyHashes } = buildClaimArrays(answerHistory);
   return {
-    contract: "Reality.eth v3.0",
+    contract: getOracle().label,
     method: "claimWinnings(bytes32,bytes32[],address[],uint256[],bytes32[])",
     params: {
       question_id: questionId,
@@ -2,24 +2,53 @@
  * config.js — Constants, default settings, and configuration management
  */
 
-// ---- Contract Addresses ----
-export const MODULE_ADDRESS = "0xa62D2a75eb39C12e908e9F6BF50f189641692F2E";
-export const REALITIO_ADDRESS = "0x5b7dD1E86623548AF054A4985F7fc8Ccbb554E2c";
+// ---- Deployment Profiles ----
+// A profile pins one Reality Module deployment: the module, its Reality.eth
+// oracle, the chain it lives on, and the block to start scanning from.
+export const DEFAULT_PROFILE = {
+  id: "1inch-mainnet",
+  label: "1inch DAO (Ethereum)",
+  chainId: 1,
+  moduleAddress: "0xa62D2a75eb39C12e908e9F6BF50f189641692F2E",
+  oracleAddress: "0x5b7dD1E86623548AF054A4985F7fc8Ccbb554E2c",
+  deploymentBlock: 0,
+};
 
 // ---- Defaults ----
 export const DEFAULT_RPC = "https://ethereum-rpc.publicnode.com";
 export const DEFAULT_BACKFILL_DAYS = 7;
 export const DEFAULT_POLL_INTERVAL_SEC = 30;
+export const DEFAULT_CONFIRMATIONS = 12; // blocks before indexed records count as final
+export const BLOCK_HASH_HISTORY = 64; // processed-block hashes kept for reorg detection
 export const SECONDS_PER_DAY = 86400;
-export const LOG_CHUNK_SIZE = 5000; // blocks per getLogs request
+export const LOG_CHUNK_SIZE = 5000; // initial blocks per getLogs request, adapted per RPC (see logs.js)
+export const MIN_LOG_CHUNK_SIZE = 10;
+export const MAX_LOG_CHUNK_SIZE = 100000;
+export const LOG_CHUNK_GROW_AFTER = 3; // full-size successes before the range is doubled
+export const ENRICH_BATCH_SIZE = 20; // proposal logs decoded per JSON-RPC batch
+export const ENRICH_CONCURRENCY = 3; // batches in flight while enriching proposals
 export const MAX_RETRIES = 7;
 export const RETRY_DELAY_MS = 2000;
 export const MAX_BACKOFF_DELAY_MS = 32000;
+export const EXECUTION_WAIT_TIMEOUT_MS = 10 * 60 * 1000; // execute-all wait per transaction before re-checking
 
 // ---- Boolean answer encoding ----
 export const ANSWER_YES = "0x0000000000000000000000000000000000000000000000000000000000000001";
 export const ANSWER_NO  = "0x0000000000000000000000000000000000000000000000000000000000000000";
 export const ANSWER_INVALID = "0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff";
+// Reality.eth v3 UNRESOLVED_ANSWER: the question was asked before it could be answered
+export const ANSWER_TOO_SOON = "0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe";
+
+// Vote choices offered in the UI
+export const ANSWER_CHOICES = {
+  yes: ANSWER_YES,
+  no: ANSWER_NO,
+  invalid: ANSWER_INVALID,
+  tooSoon: ANSWER_TOO_SOON,
+};
+
+// Reality Module questionIds[questionHash] value for invalidated proposals
+export const QUESTION_ID_INVALIDATED = "0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff";
 
 // ---- EIP-712 ----
 export const EIP712_TYPES = {
@@ -47,6 +76,7 @@ export function loadSettings() {
     rpcFallback: "",
     backfillDays: DEFAULT_BACKFILL_DAYS,
     pollIntervalSec: DEFAULT_POLL_INTERVAL_SEC,
+    confirmations: DEFAULT_CONFIRMATIONS,
   };
 }
 
@@ -56,3 +86,111 @@ export function loadSettings() {
 export function saveSettings(settings) {
   localStorage.setItem("gcc_settings", JSON.stringify(settings));
 }
+
+// ---- Deployment profile management ----
+
+function normalizeProfile(profile) {
+  return {
+    id: profile.id,
+    label: (profile.label || profile.id || "").trim(),
+    chainId: Number(profile.chainId) || 0,
+    moduleAddress: (profile.moduleAddress || "").trim(),
+    oracleAddress: (profile.oracleAddress || "").trim(),
+    deploymentBlock: Math.max(0, Number(profile.deploymentBlock) || 0),
+  };
+}
+
+/**
+ * Load all deployment profiles and the active profile id from localStorage.
+ * Falls back to the built-in 1inch profile when nothing is stored.
+ */
+export function loadProfiles() {
+  const raw = localStorage.getItem("gcc_profiles");
+  if (raw) {
+    try {
+      const stored = JSON.parse(raw);
+      if (Array.isArray(stored.profiles) && stored.profiles.length > 0) {
+        const profiles = stored.profiles.map(normalizeProfile);
+        const activeProfileId = profiles.some((p) => p.id === stored.activeProfileId)
+          ? stored.activeProfileId
+          : profiles[0].id;
+        return { activeProfileId, profiles };
+      }
+    } catch { /* fall through */ }
+  }
+  return {
+    activeProfileId: DEFAULT_PROFILE.id,
+    profiles: [{ ...DEFAULT_PROFILE }],
+  };
+}
+
+/**
+ * Persist all deployment profiles and the active profile id to localStorage.
+ */
+export function saveProfiles(state) {
+  localStorage.setItem("gcc_profiles", JSON.stringify({
+    activeProfileId: state.activeProfileId,
+    profiles: state.profiles.map(normalizeProfile),
+  }));
+}
+
+/**
+ * Get the currently active deployment profile.
+ */
+export function getActiveProfile() {
+  const { activeProfileId, profiles } = loadProfiles();
+  return profiles.find((p) => p.id === activeProfileId) || profiles[0];
+}
+
+/**
+ * Switch the active deployment profile.
+ */
+export function setActiveProfile(profileId) {
+  const state = loadProfiles();
+  if (!state.profiles.some((p) => p.id === profileId)) {
+    throw new Error(`Unknown deployment profile: ${profileId}`);
+  }
+  saveProfiles({ ...state, activeProfileId: profileId });
+}
+
+/**
+ * Insert or replace a deployment profile (matched by id).
+ */
+export function upsertProfile(profile) {
+  const state = loadProfiles();
+  const next = normalizeProfile(profile);
+  const idx = state.profiles.findIndex((p) => p.id === next.id);
+  if (idx >= 0) {
+    state.profiles[idx] = next;
+  } else {
+    state.profiles.push(next);
+  }
+  saveProfiles(state);
+  return next;
+}
+
+/**
+ * Remove a deployment profile. The last remaining profile cannot be removed.
+ */
+export function deleteProfile(profileId) {
+  const state = loadProfiles();
+  if (state.profiles.length <= 1) {
+    throw new Error("At least one deployment profile is required");
+  }
+  const profiles = state.profiles.filter((p) => p.id !== profileId);
+  const activeProfileId = state.activeProfileId === profileId ? profiles[0].id : state.activeProfileId;
+  saveProfiles({ activeProfileId, profiles });
+}
+
+/**
+ * Create a new profile id from a label, unique among stored profiles.
+ */
+export function createProfileId(label) {
+  const base = (label || "profile").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "profile";
+  const existing = new Set(loadProfiles().profiles.map((p) => p.id));
+  let id = base;
+  for (let i = 2; existing.has(id); i++) {
+    id = `${base}-${i}`;
+  }
+  return id;
+}
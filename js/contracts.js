@@ -2,7 +2,7 @@
  * contracts.js — ABI definitions, contract instantiation, and EIP-712 helpers
  */
 import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@6.13.4/+esm";
-import { MODULE_ADDRESS, REALITIO_ADDRESS, EIP712_TYPES } from "./config.js";
+import { EIP712_TYPES, getActiveProfile } from "./config.js";
 
 // ---- Reality Module ABI ----
 export const REALITY_MODULE_ABI = [
@@ -16,56 +16,219 @@ export const REALITY_MODULE_ABI = [
   "function questionCooldown() view returns (uint32)",
   "function answerExpiration() view returns (uint32)",
   "function minimumBond() view returns (uint256)",
+  "function template() view returns (uint256)",
+  "function questionTimeout() view returns (uint32)",
+  "function questionArbitrator() view returns (address)",
   "function buildQuestion(string proposalId, bytes32[] txHashes) view returns (string)",
   "function questionIds(bytes32 questionHash) view returns (bytes32)",
+  "function getQuestionId(string question, uint256 nonce) view returns (bytes32)",
   "function executedProposalTransactions(bytes32 questionHash, bytes32 txHash) view returns (bool)",
+  "function owner() view returns (address)",
 
   // Write functions
   "function addProposal(string proposalId, bytes32[] txHashes)",
+  "function addProposalWithNonce(string proposalId, bytes32[] txHashes, uint256 nonce)",
   "function executeProposalWithIndex(string proposalId, bytes32[] txHashes, address to, uint256 value, bytes data, uint8 operation, uint256 txIndex)",
+  "function markProposalAsInvalid(string proposalId, bytes32[] txHashes)",
+  "function markProposalAsInvalidByHash(bytes32 questionHash)",
+  "function markProposalWithExpiredAnswerAsInvalid(bytes32 questionHash)",
 ];
 
-// ---- Reality.eth v3.0 ABI ----
-export const REALITIO_ABI = [
-  // Events
+// ---- Reality.eth ABIs ----
+// Events and most functions are shared by every Reality.eth release; v3.0
+// adds min_bond to questions(), and the ERC20 variant swaps the payable
+// answer/bounty functions for token-amount versions.
+const REALITIO_EVENTS = [
   "event LogNewQuestion(bytes32 indexed question_id, address indexed user, uint256 template_id, string question, bytes32 indexed content_hash, address arbitrator, uint32 timeout, uint32 opening_ts, uint256 nonce, uint256 created)",
   "event LogNewAnswer(bytes32 answer, bytes32 indexed question_id, bytes32 history_hash, address indexed user, uint256 bond, uint256 ts, bool is_commitment)",
   "event LogFinalize(bytes32 indexed question_id, bytes32 indexed answer)",
   "event LogNotifyOfArbitrationRequest(bytes32 indexed question_id, address indexed user)",
+  "event LogCancelArbitration(bytes32 indexed question_id)",
+  "event LogFundAnswerBounty(bytes32 indexed question_id, uint256 bounty_added, uint256 bounty, address indexed user)",
+];
 
-  // Read functions
-  "function questions(bytes32) view returns (bytes32 content_hash, address arbitrator, uint32 opening_ts, uint32 timeout, uint32 finalize_ts, bool is_pending_arbitration, uint256 bounty, bytes32 best_answer, bytes32 history_hash, uint256 bond, uint256 min_bond)",
+const REALITIO_COMMON_READS = [
   "function isFinalized(bytes32) view returns (bool)",
   "function getFinalAnswer(bytes32) view returns (bytes32)",
   "function getBond(bytes32) view returns (uint256)",
   "function getTimeout(bytes32) view returns (uint32)",
   "function getBestAnswer(bytes32) view returns (bytes32)",
   "function balanceOf(address) view returns (uint256)",
+  "function commitments(bytes32) view returns (uint32 reveal_ts, bool is_revealed, bytes32 revealed_answer)",
+];
 
-  // Write functions
-  "function submitAnswer(bytes32 question_id, bytes32 answer, uint256 max_previous) payable",
-  "function notifyOfArbitrationRequest(bytes32 question_id, uint256 max_previous) payable",
+const REALITIO_COMMON_WRITES = [
+  "function notifyOfArbitrationRequest(bytes32 question_id, address requester, uint256 max_previous)",
   "function claimWinnings(bytes32 question_id, bytes32[] history_hashes, address[] addrs, uint256[] bonds, bytes32[] answers)",
   "function claimMultipleAndWithdrawBalance(bytes32[] question_ids, uint256[] lengths, bytes32[] history_hashes, address[] addrs, uint256[] bonds, bytes32[] answers)",
+  "function submitAnswerReveal(bytes32 question_id, bytes32 answer, uint256 nonce, uint256 bond)",
+  "function fundAnswerBounty(bytes32 question_id) payable",
   "function withdraw() external",
 ];
 
+// ---- Reality.eth v2.x ABI ----
+export const REALITIO_V2_ABI = [
+  ...REALITIO_EVENTS,
+  "function questions(bytes32) view returns (bytes32 content_hash, address arbitrator, uint32 opening_ts, uint32 timeout, uint32 finalize_ts, bool is_pending_arbitration, uint256 bounty, bytes32 best_answer, bytes32 history_hash, uint256 bond)",
+  ...REALITIO_COMMON_READS,
+  "function submitAnswer(bytes32 question_id, bytes32 answer, uint256 max_previous) payable",
+  "function submitAnswerCommitment(bytes32 question_id, bytes32 answer_hash, uint256 max_previous, address _answerer) payable",
+  ...REALITIO_COMMON_WRITES,
+];
+
+// ---- Reality.eth v3.0 ABI ----
+export const REALITIO_ABI = [
+  ...REALITIO_EVENTS,
+  "function questions(bytes32) view returns (bytes32 content_hash, address arbitrator, uint32 opening_ts, uint32 timeout, uint32 finalize_ts, bool is_pending_arbitration, uint256 bounty, bytes32 best_answer, bytes32 history_hash, uint256 bond, uint256 min_bond)",
+  "function getMinBond(bytes32) view returns (uint256)",
+  ...REALITIO_COMMON_READS,
+  "function submitAnswer(bytes32 question_id, bytes32 answer, uint256 max_previous) payable",
+  "function submitAnswerCommitment(bytes32 question_id, bytes32 answer_hash, uint256 max_previous, address _answerer) payable",
+  ...REALITIO_COMMON_WRITES,
+];
+
+// ---- RealityETH_ERC20 additions (on top of the v2.x or v3.0 ABI) ----
+export const REALITIO_ERC20_ABI = [
+  "function token() view returns (address)",
+  "function submitAnswerERC20(bytes32 question_id, bytes32 answer, uint256 max_previous, uint256 tokens)",
+  "function submitAnswerCommitmentERC20(bytes32 question_id, bytes32 answer_hash, uint256 max_previous, address _answerer, uint256 tokens)",
+  "function fundAnswerBountyERC20(bytes32 question_id, uint256 tokens)",
+];
+
+// ---- Reality.eth arbitrator ABI ----
+// Shared by the generic Reality.eth Arbitrator.sol and Kleros proxies; the
+// optional reads tell them apart. requestArbitration returns bool on the
+// former and a dispute ID on the latter, so no return type is declared.
+export const ARBITRATOR_ABI = [
+  // Reality.eth Arbitrator.sol
+  "event LogRequestArbitration(bytes32 indexed question_id, uint256 fee_paid, address requester, uint256 remaining)",
+  // Kleros proxy (ERC-792): evidence group = question ID, ruling 0 = refused (INVALID), else answer + 1
+  "event Dispute(address indexed _arbitrator, uint256 indexed _disputeID, uint256 _metaEvidenceID, uint256 _evidenceGroupID)",
+  "event Ruling(address indexed _arbitrator, uint256 indexed _disputeID, uint256 _ruling)",
+
+  "function getDisputeFee(bytes32 question_id) view returns (uint256)",
+  "function requestArbitration(bytes32 question_id, uint256 max_previous) payable",
+  "function realitio() view returns (address)",
+  // Reality.eth Arbitrator.sol: fees paid so far (it accepts partial payments)
+  "function arbitration_bounties(bytes32 question_id) view returns (uint256)",
+  // Kleros proxy: the Kleros court contract disputes are created on
+  "function arbitrator() view returns (address)",
+];
+
+// ---- Minimal ERC20 ABI (bond token, treasury balances) ----
+export const ERC20_ABI = [
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function transferFrom(address from, address to, uint256 amount) returns (bool)",
+];
+
+// ---- Safe (avatar) ABI ----
+// Event parameters are indexed from Safe v1.4 on; topic hashes are the same either way.
+export const SAFE_ABI = [
+  "event AddedOwner(address owner)",
+  "event RemovedOwner(address owner)",
+  "event ChangedThreshold(uint256 threshold)",
+  "event EnabledModule(address module)",
+  "event DisabledModule(address module)",
+  "event ChangedGuard(address guard)",
+  "event ExecutionFromModuleSuccess(address indexed module)",
+  "function getOwners() view returns (address[])",
+  "function getThreshold() view returns (uint256)",
+  "function getModulesPaginated(address start, uint256 pageSize) view returns (address[] array, address next)",
+  "function execTransactionFromModule(address to, uint256 value, bytes data, uint8 operation) returns (bool success)",
+  "function addOwnerWithThreshold(address owner, uint256 _threshold)",
+  "function removeOwner(address prevOwner, address owner, uint256 _threshold)",
+  "function swapOwner(address prevOwner, address oldOwner, address newOwner)",
+  "function changeThreshold(uint256 _threshold)",
+  "function enableModule(address module)",
+  "function disableModule(address prevModule, address module)",
+  "function setGuard(address guard)",
+];
+
+// keccak256("guard_manager.guard.address")
+export const SAFE_GUARD_STORAGE_SLOT = "0x4a204f620c8c5ccdca3fd54d003badd85ba500436a431f0cbda4f558c93c34c8";
+
 // ---- Module Interface (for parsing) ----
+// Event signatures are identical across Reality.eth flavours, so one interface parses them all.
 export const moduleIface = new ethers.Interface(REALITY_MODULE_ABI);
 export const realitioIface = new ethers.Interface(REALITIO_ABI);
+export const safeIface = new ethers.Interface(SAFE_ABI);
+export const erc20Iface = new ethers.Interface(ERC20_ABI);
+export const arbitratorIface = new ethers.Interface(ARBITRATOR_ABI);
+
+// ---- Active oracle ----
+// Set once the module's oracle() has been read and its flavour detected.
+// Until then, the profile's oracle address is assumed to be an ETH-bonded v3.0.
+let _oracle = null;
+
+/**
+ * Record the detected oracle: { address, version: "v2" | "v3", erc20, token, label }.
+ * token is { address, symbol, decimals } for ERC20-bonded oracles, otherwise null.
+ */
+export function setOracle(oracle) {
+  _oracle = oracle;
+}
+
+/**
+ * Get the detected oracle description (falls back to an ETH-bonded v3.0 at the profile address).
+ */
+export function getOracle() {
+  return _oracle || {
+    address: getActiveProfile().oracleAddress,
+    version: "v3",
+    erc20: false,
+    token: null,
+    label: "Reality.eth v3.0",
+  };
+}
 
 /**
- * Create a Reality Module contract instance.
+ * Get the ABI matching an oracle flavour.
+ */
+export function getRealitioAbi(oracle = getOracle()) {
+  const base = oracle.version === "v2" ? REALITIO_V2_ABI : REALITIO_ABI;
+  return oracle.erc20 ? [...base, ...REALITIO_ERC20_ABI] : base;
+}
+
+/**
+ * Create a Reality Module contract instance for the active deployment profile.
  */
 export function getModuleContract(providerOrSigner) {
-  return new ethers.Contract(MODULE_ADDRESS, REALITY_MODULE_ABI, providerOrSigner);
+  return new ethers.Contract(getActiveProfile().moduleAddress, REALITY_MODULE_ABI, providerOrSigner);
 }
 
 /**
- * Create a Reality.eth oracle contract instance.
+ * Create a Reality.eth oracle contract instance for the module's detected oracle.
  */
 export function getRealitioContract(providerOrSigner) {
-  return new ethers.Contract(REALITIO_ADDRESS, REALITIO_ABI, providerOrSigner);
+  const oracle = getOracle();
+  return new ethers.Contract(oracle.address, getRealitioAbi(oracle), providerOrSigner);
+}
+
+/**
+ * Create a Safe contract instance (the module's avatar or target).
+ */
+export function getSafeContract(safeAddress, providerOrSigner) {
+  return new ethers.Contract(safeAddress, SAFE_ABI, providerOrSigner);
+}
+
+/**
+ * Create an arbitrator contract instance (a question's arbitrator address).
+ */
+export function getArbitratorContract(arbitratorAddress, providerOrSigner) {
+  return new ethers.Contract(arbitratorAddress, ARBITRATOR_ABI, providerOrSigner);
+}
+
+/**
+ * Create an ERC20 token contract instance.
+ */
+export function getTokenContract(tokenAddress, providerOrSigner) {
+  return new ethers.Contract(tokenAddress, ERC20_ABI, providerOrSigner);
 }
 
 /**
@@ -75,7 +238,7 @@ export function getRealitioContract(providerOrSigner) {
 export function calcRealityModuleTxHash({ chainId, moduleAddress, tx }) {
   const domain = {
     chainId: Number(chainId),
-    verifyingContract: moduleAddress || MODULE_ADDRESS,
+    verifyingContract: moduleAddress || getActiveProfile().moduleAddress,
   };
   return ethers.TypedDataEncoder.hash(domain, EIP712_TYPES, {
     to: tx.to,
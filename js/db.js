@@ -1,22 +1,68 @@
 /**
  * db.js — IndexedDB wrapper using idb-like pattern (no dependencies)
  *
- * Stores: settings, proposals, questions_state, answers, txBundles
+ * Stores: settings, proposals, questions_state, answers, txBundles,
+ *         signatures, abis, commitments, bounties, questions, finalizations,
+ *         arbitrations
+ *
+ * Each (chainId, module address) pair gets its own database, so caches and
+ * sync cursors from different networks or deployments never mix.
  */
 
-const DB_NAME = "GovernanceCommandCenter";
-const DB_VERSION = 2;
+const DB_NAME_PREFIX = "GovernanceCommandCenter";
+const LEGACY_DB_NAME = "GovernanceCommandCenter";
+const DB_VERSION = 7;
+
+const STORE_NAMES = [
+  "settings", "proposals", "questions_state", "answers", "txBundles", "signatures", "abis", "commitments", "bounties",
+  "questions", "finalizations", "arbitrations",
+];
 
 let _db = null;
+let _dbName = null;
+let _namespace = null;
+
+/**
+ * Build the database name for a chain + module address namespace.
+ */
+export function getDBName(chainId, moduleAddress) {
+  return `${DB_NAME_PREFIX}:${Number(chainId)}:${(moduleAddress || "").toLowerCase()}`;
+}
 
 /**
- * Open / create the IndexedDB database.
+ * Select the database namespace. Closes the previously open database
+ * if the namespace changes; the next openDB() opens the new one.
+ * Returns true if the namespace changed.
+ */
+export function useDBNamespace(chainId, moduleAddress) {
+  const name = getDBName(chainId, moduleAddress);
+  if (name === _dbName) return false;
+
+  if (_db) {
+    _db.close();
+    _db = null;
+  }
+  _dbName = name;
+  _namespace = { chainId: Number(chainId), moduleAddress: (moduleAddress || "").toLowerCase() };
+  return true;
+}
+
+/**
+ * Get the currently selected namespace ({ chainId, moduleAddress } or null).
+ */
+export function getDBNamespace() {
+  return _namespace;
+}
+
+/**
+ * Open / create the IndexedDB database for the selected namespace.
  */
 export function openDB() {
   if (_db) return Promise.resolve(_db);
+  if (!_dbName) return Promise.reject(new Error("No database namespace selected. Connect to an RPC first."));
 
   return new Promise((resolve, reject) => {
-    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    const req = indexedDB.open(_dbName, DB_VERSION);
 
     req.onupgradeneeded = (e) => {
       const db = e.target.result;
@@ -58,6 +104,48 @@ export function openDB() {
       if (!db.objectStoreNames.contains("txBundles")) {
         db.createObjectStore("txBundles", { keyPath: "proposalId" });
       }
+
+      // Calldata decoder registry: user-added function signatures + per-address ABIs
+      if (!db.objectStoreNames.contains("signatures")) {
+        const sigStore = db.createObjectStore("signatures", { keyPath: "signature" });
+        sigStore.createIndex("selector", "selector", { unique: false });
+      }
+      if (!db.objectStoreNames.contains("abis")) {
+        db.createObjectStore("abis", { keyPath: "address" });
+      }
+
+      // Commit-reveal answers: the nonce only exists here until it is revealed
+      if (!db.objectStoreNames.contains("commitments")) {
+        const commitStore = db.createObjectStore("commitments", { keyPath: "commitmentId" });
+        commitStore.createIndex("questionId", "questionId", { unique: false });
+      }
+
+      if (!db.objectStoreNames.contains("bounties")) {
+        const bountyStore = db.createObjectStore("bounties", { keyPath: "id" }); // id = `${questionId}:${block}:${txIndex}:${logIndex}`
+        bountyStore.createIndex("questionId", "questionId", { unique: false });
+      }
+
+      // Lifecycle of module questions: LogNewQuestion, LogFinalize and the
+      // oracle's / arbitrators' arbitration events
+      if (!db.objectStoreNames.contains("questions")) {
+        db.createObjectStore("questions", { keyPath: "questionId" });
+      }
+      if (!db.objectStoreNames.contains("finalizations")) {
+        const finalizeStore = db.createObjectStore("finalizations", { keyPath: "id" });
+        finalizeStore.createIndex("questionId", "questionId", { unique: false });
+      }
+      if (!db.objectStoreNames.contains("arbitrations")) {
+        const arbStore = db.createObjectStore("arbitrations", { keyPath: "id" });
+        arbStore.createIndex("questionId", "questionId", { unique: false });
+      }
+
+      // Block indexes let a reorg rollback drop the records of orphaned blocks
+      for (const name of ["bounties", "questions", "finalizations", "arbitrations"]) {
+        const store = e.target.transaction.objectStore(name);
+        if (!store.indexNames.contains("blockNumber")) {
+          store.createIndex("blockNumber", "blockNumber", { unique: false });
+        }
+      }
     };
 
     req.onsuccess = (e) => {
@@ -69,6 +157,52 @@ export function openDB() {
   });
 }
 
+/**
+ * Move data from the pre-namespacing database into the current namespace,
+ * then delete the legacy database. Only runs when the current namespace
+ * has never been synced, so existing scoped data is never overwritten.
+ * Returns true if a migration happened.
+ */
+export async function migrateLegacyDB() {
+  if (typeof indexedDB.databases !== "function") return false;
+
+  const existing = await indexedDB.databases();
+  if (!existing.some((d) => d.name === LEGACY_DB_NAME)) return false;
+
+  if ((await getSetting("lastProcessedBlock")) !== null) return false;
+
+  const legacy = await new Promise((resolve, reject) => {
+    const req = indexedDB.open(LEGACY_DB_NAME);
+    req.onsuccess = (e) => resolve(e.target.result);
+    req.onerror = (e) => reject(e.target.error);
+  });
+
+  const dump = {};
+  try {
+    for (const name of STORE_NAMES) {
+      if (!legacy.objectStoreNames.contains(name)) continue;
+      dump[name] = await new Promise((resolve, reject) => {
+        const req = legacy.transaction(name, "readonly").objectStore(name).getAll();
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+  } finally {
+    legacy.close();
+  }
+
+  await importDB(dump);
+
+  await new Promise((resolve, reject) => {
+    const req = indexedDB.deleteDatabase(LEGACY_DB_NAME);
+    req.onsuccess = () => resolve();
+    req.onblocked = () => resolve();
+    req.onerror = () => reject(req.error);
+  });
+
+  return true;
+}
+
 /**
  * Generic get from a store.
  */
@@ -97,6 +231,22 @@ export async function dbPut(storeName, value) {
   });
 }
 
+/**
+ * Put several records in a single transaction.
+ */
+export async function dbPutMany(storeName, values) {
+  if (values.length === 0) return;
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, "readwrite");
+    const store = tx.objectStore(storeName);
+    for (const value of values) store.put(value);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
 /**
  * Get all records from a store.
  */
@@ -155,6 +305,30 @@ export async function dbDelete(storeName, key) {
   });
 }
 
+/**
+ * Delete every record whose index value is >= `fromKey`.
+ * Returns the deleted records.
+ */
+export async function dbDeleteFromIndex(storeName, indexName, fromKey) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, "readwrite");
+    const index = tx.objectStore(storeName).index(indexName);
+    const deleted = [];
+    const req = index.openCursor(IDBKeyRange.lowerBound(fromKey));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      deleted.push(cursor.value);
+      cursor.delete();
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+    tx.oncomplete = () => resolve(deleted);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
 /**
  * Clear all data in a store.
  */
@@ -170,15 +344,26 @@ export async function dbClear(storeName) {
 }
 
 /**
- * Clear the entire DB (all stores).
+ * Clear the entire DB (all stores), except the stores named in `keep` and
+ * the settings whose key starts with one of `keepSettings`.
  */
-export async function dbClearAll() {
+export async function dbClearAll(keep = [], keepSettings = []) {
   const db = await openDB();
-  const storeNames = ["settings", "proposals", "questions_state", "answers", "txBundles"];
+  const names = STORE_NAMES.filter((name) => !keep.includes(name));
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(storeNames, "readwrite");
-    for (const name of storeNames) {
-      tx.objectStore(name).clear();
+    const tx = db.transaction(names, "readwrite");
+    for (const name of names) {
+      if (name !== "settings" || keepSettings.length === 0) {
+        tx.objectStore(name).clear();
+        continue;
+      }
+      const req = tx.objectStore(name).openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        if (!keepSettings.some((prefix) => String(cursor.key).startsWith(prefix))) cursor.delete();
+        cursor.continue();
+      };
     }
     tx.oncomplete = () => resolve();
     tx.onerror = () => reject(tx.error);
@@ -189,29 +374,48 @@ export async function dbClearAll() {
  * Export entire DB as a JSON object.
  */
 export async function exportDB() {
-  const storeNames = ["settings", "proposals", "questions_state", "answers", "txBundles"];
-  const dump = {};
-  for (const name of storeNames) {
+  const dump = { namespace: _namespace };
+  for (const name of STORE_NAMES) {
     dump[name] = await dbGetAll(name);
   }
   return dump;
 }
 
+// Stores whose local records are never dropped on import: unrevealed commit nonces only exist here
+const MERGED_ON_IMPORT = ["commitments"];
+
 /**
- * Import from a JSON dump (replaces current data).
+ * Import from a JSON dump (replaces current data, except that commitments are
+ * merged: the dump only adds the ones this device does not have).
+ * Refuses dumps exported from a different chain / module namespace.
  */
 export async function importDB(dump) {
-  const storeNames = ["settings", "proposals", "questions_state", "answers", "txBundles"];
+  const ns = dump.namespace;
+  if (ns && _namespace &&
+    (Number(ns.chainId) !== _namespace.chainId || (ns.moduleAddress || "").toLowerCase() !== _namespace.moduleAddress)) {
+    throw new Error(
+      `Backup belongs to chain ${ns.chainId} / module ${ns.moduleAddress}, ` +
+      `but the active namespace is chain ${_namespace.chainId} / module ${_namespace.moduleAddress}`
+    );
+  }
+
   const db = await openDB();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(storeNames, "readwrite");
-    for (const name of storeNames) {
+    const tx = db.transaction(STORE_NAMES, "readwrite");
+    for (const name of STORE_NAMES) {
       const store = tx.objectStore(name);
-      store.clear();
-      if (dump[name]) {
-        for (const item of dump[name]) {
+      const merge = MERGED_ON_IMPORT.includes(name);
+      if (!merge) store.clear();
+      for (const item of dump[name] || []) {
+        if (!merge) {
           store.put(item);
+          continue;
         }
+        if (item[store.keyPath] === undefined) continue;
+        const existing = store.get(item[store.keyPath]);
+        existing.onsuccess = () => {
+          if (!existing.result) store.put(item);
+        };
       }
     }
     tx.oncomplete = () => resolve();
@@ -0,0 +1,449 @@
+/**
+ * decoder.js — Calldata decoding for bundle transactions
+ *
+ * Resolves function selectors against a bundled signature list, user-added
+ * signatures, and per-address ABIs imported by the user (both stored in
+ * IndexedDB), then decodes arguments into named, formatted values.
+ * MultiSend batches and nested Safe execTransaction calls are unpacked
+ * recursively into a call tree.
+ */
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@6.13.4/+esm";
+import { dbGetAll, dbPut, dbDelete } from "./db.js";
+
+// ---- Bundled signatures ----
+// Calls that commonly show up in Safe / Reality Module governance bundles.
+export const BUILTIN_SIGNATURES = [
+  // ERC20
+  "transfer(address to, uint256 amount)",
+  "transferFrom(address from, address to, uint256 amount)",
+  "approve(address spender, uint256 amount)",
+  "increaseAllowance(address spender, uint256 addedValue)",
+  "decreaseAllowance(address spender, uint256 subtractedValue)",
+  "mint(address to, uint256 amount)",
+  "burn(uint256 amount)",
+  // ERC721 / ERC1155
+  "safeTransferFrom(address from, address to, uint256 tokenId)",
+  "safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)",
+  "setApprovalForAll(address operator, bool approved)",
+  // WETH
+  "deposit()",
+  "withdraw(uint256 amount)",
+  // Ownable / AccessControl
+  "transferOwnership(address newOwner)",
+  "renounceOwnership()",
+  "acceptOwnership()",
+  "grantRole(bytes32 role, address account)",
+  "revokeRole(bytes32 role, address account)",
+  // Proxies
+  "upgradeTo(address newImplementation)",
+  "upgradeToAndCall(address newImplementation, bytes data)",
+  "upgrade(address proxy, address implementation)",
+  "changeProxyAdmin(address proxy, address newAdmin)",
+  // Safe
+  "addOwnerWithThreshold(address owner, uint256 _threshold)",
+  "removeOwner(address prevOwner, address owner, uint256 _threshold)",
+  "swapOwner(address prevOwner, address oldOwner, address newOwner)",
+  "changeThreshold(uint256 _threshold)",
+  "enableModule(address module)",
+  "disableModule(address prevModule, address module)",
+  "setGuard(address guard)",
+  "setFallbackHandler(address handler)",
+  "execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures)",
+  "multiSend(bytes transactions)",
+  // Reality Module
+  "setQuestionTimeout(uint32 timeout)",
+  "setQuestionCooldown(uint32 cooldown)",
+  "setAnswerExpiration(uint32 expiration)",
+  "setArbitrator(address arbitrator)",
+  "setMinimumBond(uint256 bond)",
+  "setTemplate(uint256 templateId)",
+  "setOracle(address oracle)",
+  "setAvatar(address avatar)",
+  "setTarget(address target)",
+];
+
+// ---- Safe MultiSend deployments ----
+// Lowercased address → { label, callOnly }. MultiSendCallOnly rejects inner delegatecalls.
+export const KNOWN_MULTISEND = {
+  "0x8d29be29923b68abfdd21e541b9374737b49cdad": { label: "MultiSend v1.1.1", callOnly: false },
+  "0xa238cbeb142c10ef7ad8442c6d1f9e89e07e7761": { label: "MultiSend v1.3.0", callOnly: false },
+  "0x998739bfdaadde7c933b942a68053933098f9eda": { label: "MultiSend v1.3.0 (eip155)", callOnly: false },
+  "0x38869bf66a61cf6bdb996a6ae40d5853fd43b526": { label: "MultiSend v1.4.1", callOnly: false },
+  "0x40a2accbd92bca938b02010e17a5b8929b49130d": { label: "MultiSendCallOnly v1.3.0", callOnly: true },
+  "0xa1dabef33b3b82c7814b6d82a79e50f4ac44102b": { label: "MultiSendCallOnly v1.3.0 (eip155)", callOnly: true },
+  "0x9641d764fc13c8b624c04430c7356c1c7c8102e2": { label: "MultiSendCallOnly v1.4.1", callOnly: true },
+};
+
+const MAX_DECODE_DEPTH = 5;
+
+// ---- In-memory registry ----
+
+let _registry = null;
+
+function signatureRecord(fragment, source) {
+  return {
+    signature: fragment.format("sighash"),
+    selector: fragment.selector,
+    name: fragment.name,
+    full: fragment.format("full"),
+    source,
+  };
+}
+
+/**
+ * Load (or reload) the selector registry and imported ABIs from IndexedDB.
+ */
+export async function loadDecoderRegistry() {
+  const selectors = new Map();
+  const addFragment = (fragment) => {
+    const list = selectors.get(fragment.selector) || [];
+    if (!list.some((f) => f.format("sighash") === fragment.format("sighash"))) {
+      list.push(fragment);
+    }
+    selectors.set(fragment.selector, list);
+  };
+
+  for (const sig of BUILTIN_SIGNATURES) {
+    addFragment(ethers.FunctionFragment.from(`function ${sig}`));
+  }
+
+  const userSignatures = await dbGetAll("signatures");
+  for (const rec of userSignatures) {
+    try {
+      addFragment(ethers.FunctionFragment.from(rec.full));
+    } catch {
+      // skip unparsable stored signatures
+    }
+  }
+
+  const abis = new Map();
+  const abiRecords = await dbGetAll("abis");
+  for (const rec of abiRecords) {
+    try {
+      abis.set(rec.address.toLowerCase(), { label: rec.label, iface: new ethers.Interface(rec.abi) });
+    } catch {
+      // skip broken ABI records
+    }
+  }
+
+  _registry = { selectors, abis, userSignatures, abiRecords };
+  return _registry;
+}
+
+/**
+ * Get user-added signatures and imported ABI records (for the settings panel).
+ */
+export function getDecoderRegistrySummary() {
+  if (!_registry) return { builtinCount: BUILTIN_SIGNATURES.length, userSignatures: [], abiRecords: [] };
+  return {
+    builtinCount: BUILTIN_SIGNATURES.length,
+    userSignatures: _registry.userSignatures,
+    abiRecords: _registry.abiRecords,
+  };
+}
+
+/**
+ * Add one or more function signatures to the user registry.
+ * Accepts "transfer(address,uint256)" or "function transfer(address to, uint256 amount)".
+ * Returns the number of signatures stored.
+ */
+export async function addSignatures(signatures) {
+  let added = 0;
+  for (const raw of signatures) {
+    const text = raw.trim();
+    if (!text) continue;
+    const fragment = ethers.FunctionFragment.from(text.startsWith("function ") ? text : `function ${text}`);
+    await dbPut("signatures", signatureRecord(fragment, "user"));
+    added += 1;
+  }
+  await loadDecoderRegistry();
+  return added;
+}
+
+/**
+ * Remove a user-added signature.
+ */
+export async function removeSignature(signature) {
+  await dbDelete("signatures", signature);
+  await loadDecoderRegistry();
+}
+
+/**
+ * Import a contract ABI for a specific address.
+ * Accepts a raw ABI array or an object with an `abi` field (Hardhat/Foundry artifacts).
+ */
+export async function importAbi(address, abiJson, label = "") {
+  const parsed = typeof abiJson === "string" ? JSON.parse(abiJson) : abiJson;
+  const abi = Array.isArray(parsed) ? parsed : parsed?.abi;
+  if (!Array.isArray(abi)) {
+    throw new Error("ABI must be a JSON array or an artifact with an `abi` array");
+  }
+
+  // Validate and keep only what Interface understands
+  const iface = new ethers.Interface(abi);
+  const record = {
+    address: ethers.getAddress(address),
+    label: label.trim(),
+    abi: iface.formatJson(),
+    functionCount: iface.fragments.filter((f) => f.type === "function").length,
+  };
+
+  await dbPut("abis", record);
+  await loadDecoderRegistry();
+  return record;
+}
+
+/**
+ * Remove an imported ABI.
+ */
+export async function removeAbi(address) {
+  await dbDelete("abis", ethers.getAddress(address));
+  await loadDecoderRegistry();
+}
+
+// ---- Decoding ----
+
+/**
+ * Format a decoded ABI value for display, recursing into arrays and tuples.
+ */
+function formatDecodedValue(param, value) {
+  if (param.baseType === "array") {
+    return Array.from(value).map((v) => formatDecodedValue(param.arrayChildren, v));
+  }
+  if (param.baseType === "tuple") {
+    const out = {};
+    param.components.forEach((c, i) => {
+      out[c.name || String(i)] = formatDecodedValue(c, value[i]);
+    });
+    return out;
+  }
+  if (param.baseType === "address") return ethers.getAddress(value);
+  if (typeof value === "bigint") return value.toString();
+  return value;
+}
+
+function decodeWithFragment(iface, fragment, data) {
+  const values = iface.decodeFunctionData(fragment, data);
+  return fragment.inputs.map((input, i) => ({
+    name: input.name || `arg${i}`,
+    type: input.format("sighash"),
+    value: formatDecodedValue(input, values[i]),
+  }));
+}
+
+/**
+ * Decode calldata sent to `to`.
+ *
+ * @param {string} to - target address
+ * @param {string} data - hex calldata
+ * @returns {{ selector, name, signature, source, label, args, error }}
+ *   source is "abi" (address ABI), "registry" (selector match), or null if unknown.
+ */
+export function decodeCalldata(to, data) {
+  const result = {
+    selector: null,
+    name: null,
+    signature: null,
+    source: null,
+    label: "",
+    args: [],
+    error: null,
+  };
+
+  if (!data || data === "0x") {
+    result.name = "(plain transfer)";
+    return result;
+  }
+  if (data.length < 10) {
+    result.error = "Calldata shorter than a function selector";
+    return result;
+  }
+
+  result.selector = data.slice(0, 10).toLowerCase();
+  const registry = _registry;
+  if (!registry) {
+    result.error = "Decoder registry not loaded";
+    return result;
+  }
+
+  // 1) Contract-specific ABI
+  const entry = to ? registry.abis.get(to.toLowerCase()) : null;
+  if (entry) {
+    const fragment = entry.iface.getFunction(result.selector);
+    if (fragment) {
+      try {
+        result.args = decodeWithFragment(entry.iface, fragment, data);
+        result.name = fragment.name;
+        result.signature = fragment.format("sighash");
+        result.source = "abi";
+        result.label = entry.label;
+        return result;
+      } catch (err) {
+        result.error = `ABI decode failed: ${err.shortMessage || err.message}`;
+      }
+    }
+  }
+
+  // 2) Selector registry — several signatures may share a selector; first that decodes wins
+  const candidates = registry.selectors.get(result.selector) || [];
+  for (const fragment of candidates) {
+    try {
+      const iface = new ethers.Interface([fragment]);
+      result.args = decodeWithFragment(iface, fragment, data);
+      result.name = fragment.name;
+      result.signature = fragment.format("sighash");
+      result.source = "registry";
+      result.error = null;
+      return result;
+    } catch {
+      // try next candidate
+    }
+  }
+
+  if (!result.error) {
+    result.error = candidates.length > 0
+      ? "Selector known, but arguments did not decode"
+      : "Unknown function selector";
+  }
+  return result;
+}
+
+/**
+ * Plain-text rendering of a decoded call (for confirm dialogs).
+ */
+export function formatDecodedCallText(decoded) {
+  if (!decoded.source) {
+    return decoded.name || `${decoded.selector || "0x"} (${decoded.error || "not decoded"})`;
+  }
+  const lines = decoded.args.map((a) => `  ${a.name} (${a.type}): ${stringifyValue(a.value)}`);
+  return `${decoded.name}(\n${lines.join(",\n")}\n)`;
+}
+
+/**
+ * Stringify a formatted argument value (arrays / tuples as compact JSON).
+ */
+export function stringifyValue(value) {
+  return typeof value === "object" && value !== null ? JSON.stringify(value) : String(value);
+}
+
+// ---- Call trees (MultiSend / execTransaction) ----
+
+/**
+ * Unpack the `transactions` bytes of a Safe multiSend() call.
+ * Each entry is packed as: operation (1) | to (20) | value (32) | dataLength (32) | data.
+ */
+export function unpackMultiSend(packed) {
+  const bytes = ethers.getBytes(packed);
+  const txs = [];
+  let i = 0;
+
+  while (i < bytes.length) {
+    if (i + 85 > bytes.length) {
+      throw new Error(`Truncated MultiSend entry at byte ${i}`);
+    }
+    const operation = bytes[i];
+    const to = ethers.getAddress(ethers.hexlify(bytes.slice(i + 1, i + 21)));
+    const value = ethers.toBigInt(bytes.slice(i + 21, i + 53)).toString();
+    const dataLength = Number(ethers.toBigInt(bytes.slice(i + 53, i + 85)));
+    if (i + 85 + dataLength > bytes.length) {
+      throw new Error(`MultiSend entry at byte ${i} claims ${dataLength} data bytes past the end`);
+    }
+    const data = ethers.hexlify(bytes.slice(i + 85, i + 85 + dataLength));
+    txs.push({ operation, to, value, data });
+    i += 85 + dataLength;
+  }
+
+  return txs;
+}
+
+/**
+ * Pack transactions into multiSend(bytes) calldata (inverse of unpackMultiSend).
+ */
+export function packMultiSend(txs) {
+  const packed = ethers.concat(txs.map((tx) => {
+    const data = tx.data || "0x";
+    return ethers.solidityPacked(
+      ["uint8", "address", "uint256", "uint256", "bytes"],
+      [Number(tx.operation || 0), tx.to, BigInt(tx.value || 0), ethers.dataLength(data), data]
+    );
+  }));
+  return new ethers.Interface(["function multiSend(bytes transactions)"]).encodeFunctionData("multiSend", [packed]);
+}
+
+/**
+ * Decode a transaction into a call tree node, unpacking MultiSend batches and
+ * Safe execTransaction calls into `children`.
+ *
+ * @param {{ to, value, data, operation }} tx
+ * @returns {{ to, value, data, operation, decoded, label, children, warnings }}
+ */
+export function decodeTransaction(tx, depth = 0) {
+  const operation = Number(tx.operation || 0);
+  const node = {
+    to: tx.to,
+    value: (tx.value || "0").toString(),
+    data: tx.data || "0x",
+    operation,
+    decoded: decodeCalldata(tx.to, tx.data),
+    label: "",
+    children: [],
+    warnings: [],
+  };
+
+  const multiSend = tx.to ? KNOWN_MULTISEND[tx.to.toLowerCase()] : null;
+  if (multiSend) node.label = multiSend.label;
+
+  if (depth >= MAX_DECODE_DEPTH) {
+    if (node.decoded.name === "multiSend" || node.decoded.name === "execTransaction") {
+      node.warnings.push(`Nested deeper than ${MAX_DECODE_DEPTH} levels; not unpacked further`);
+    }
+    return node;
+  }
+
+  if (node.decoded.name === "multiSend") {
+    if (operation === 1 && !multiSend) {
+      node.warnings.push("DelegateCall to a multiSend() contract that is not a known Safe MultiSend deployment");
+    }
+    try {
+      const inner = unpackMultiSend(node.decoded.args[0].value);
+      node.children = inner.map((child) => decodeTransaction(child, depth + 1));
+      if (multiSend?.callOnly && inner.some((child) => child.operation === 1)) {
+        node.warnings.push("MultiSendCallOnly reverts on inner DelegateCalls");
+      }
+    } catch (err) {
+      node.warnings.push(`Could not unpack MultiSend: ${err.message}`);
+    }
+  } else if (node.decoded.name === "execTransaction") {
+    const arg = (name) => node.decoded.args.find((a) => a.name === name)?.value;
+    node.label = node.label || "Safe execTransaction";
+    node.children = [decodeTransaction({
+      to: arg("to"),
+      value: arg("value"),
+      data: arg("data"),
+      operation: arg("operation"),
+    }, depth + 1)];
+  } else if (operation === 1) {
+    node.warnings.push("DelegateCall runs this code in the Safe's own context");
+  }
+
+  return node;
+}
+
+/**
+ * Plain-text rendering of a call tree (for confirm dialogs).
+ */
+export function formatCallTreeText(node, indent = "") {
+  const op = node.operation === 1 ? "DelegateCall" : "Call";
+  const head = `${indent}${op} ${node.to}${node.label ? ` [${node.label}]` : ""}` +
+    (node.value !== "0" ? ` value=${ethers.formatEther(node.value)} ETH` : "");
+  const call = formatDecodedCallText(node.decoded)
+    .split("\n")
+    .map((line) => `${indent}  ${line}`)
+    .join("\n");
+  const warnings = node.warnings.map((w) => `${indent}  ⚠ ${w}`);
+  const children = node.children.map((child) => formatCallTreeText(child, `${indent}    `));
+
+  // Unpacked batches show their inner calls instead of the raw packed bytes
+  const body = node.children.length > 0 ? [] : [call];
+  return [head, ...body, ...warnings, ...children].join("\n");
+}
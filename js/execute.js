@@ -2,23 +2,167 @@
  * execute.js — Execute approved proposals via the Reality Module
  *
  * Implements FR-8: executeProposalWithIndex, tx bundle import/management,
- * and EIP-712 tx hash verification.
+ * and EIP-712 tx hash verification. Bundles can be imported from raw arrays,
+ * Safe Transaction Builder batch files, or Snapshot SafeSnap plugin payloads,
+ * and exported back to Transaction Builder format.
  */
 import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@6.13.4/+esm";
 import { getModuleContract, calcRealityModuleTxHash } from "./contracts.js";
-import { MODULE_ADDRESS } from "./config.js";
-import { dbPut, dbGet } from "./db.js";
+import { getActiveProfile, loadProfiles } from "./config.js";
+import { dbPut, dbGet, dbDelete, getSetting, setSetting } from "./db.js";
+import { packMultiSend, decodeTransaction } from "./decoder.js";
+import { simulateContractCall } from "./simulate.js";
+
+const TX_BUILDER_VERSION = "1.0";
+
+// Chains tried when diagnosing a hash mismatch, besides the connected one
+const DIAGNOSTIC_CHAIN_IDS = [1, 10, 56, 100, 137, 8453, 42161, 11155111, 5];
+const WEI_PER_ETH = 10n ** 18n;
+
+// ---- Bundle formats ----
+
+/**
+ * Parse one Transaction Builder input value. Arrays and tuples are given as
+ * JSON strings, booleans as "true" / "false"; everything else passes through.
+ */
+function parseTxBuilderValue(param, raw) {
+  if (raw === undefined || raw === null) {
+    throw new Error(`Missing value for input "${param.name}"`);
+  }
+  if (param.baseType === "array" || param.baseType === "tuple") {
+    return typeof raw === "string" ? JSON.parse(raw) : raw;
+  }
+  if (param.baseType === "bool") {
+    return raw === true || String(raw).toLowerCase() === "true";
+  }
+  return raw;
+}
+
+/**
+ * Encode calldata for a Transaction Builder entry that carries
+ * contractMethod + contractInputsValues instead of raw data.
+ */
+function encodeTxBuilderCall(entry) {
+  const method = entry.contractMethod;
+  const fragment = ethers.FunctionFragment.from({
+    type: "function",
+    name: method.name,
+    inputs: method.inputs || [],
+    outputs: [],
+    stateMutability: method.payable ? "payable" : "nonpayable",
+  });
+  const values = entry.contractInputsValues || {};
+  const args = fragment.inputs.map((input, i) =>
+    parseTxBuilderValue(input, values[input.name] ?? values[String(i)])
+  );
+  return new ethers.Interface([fragment]).encodeFunctionData(fragment, args);
+}
+
+function fromTxBuilder(batch) {
+  const transactions = batch.transactions.map((entry, i) => {
+    let data = entry.data;
+    if ((!data || data === "0x") && entry.contractMethod) {
+      try {
+        data = encodeTxBuilderCall(entry);
+      } catch (err) {
+        throw new Error(`Transaction Builder entry #${i} (${entry.contractMethod.name}): ${err.shortMessage || err.message}`);
+      }
+    }
+    return {
+      to: entry.to,
+      value: entry.value || "0",
+      data: data || "0x",
+      operation: entry.operation ?? 0,
+    };
+  });
+
+  return { format: "tx-builder", transactions, warnings: [], chainId: batch.chainId ? Number(batch.chainId) : null };
+}
+
+/**
+ * Pick the SafeSnap safe entry that belongs to the active module.
+ */
+function pickSafeSnapSafe(safes) {
+  if (safes.length === 1) return safes[0];
+  const { moduleAddress } = getActiveProfile();
+  const match = safes.find((s) => (s.realityAddress || s.umaAddress || "").toLowerCase() === moduleAddress.toLowerCase());
+  if (!match) {
+    throw new Error(`SafeSnap payload has ${safes.length} safes and none uses module ${moduleAddress}`);
+  }
+  return match;
+}
+
+/**
+ * Turn one SafeSnap batch into the single module transaction it was hashed as.
+ * Current payloads carry `mainTransaction`; batches with several inner
+ * transactions and no mainTransaction are wrapped in a MultiSend delegatecall.
+ */
+function safeSnapBatchToTx(batch, multiSendAddress, index) {
+  if (batch.mainTransaction) return batch.mainTransaction;
+
+  const inner = Array.isArray(batch) ? batch : (batch.transactions || []);
+  if (inner.length === 1) return inner[0];
+  if (inner.length === 0) throw new Error(`SafeSnap batch #${index} is empty`);
+  if (!multiSendAddress) {
+    throw new Error(`SafeSnap batch #${index} has ${inner.length} transactions but no multiSendAddress`);
+  }
+  return { to: multiSendAddress, value: "0", data: packMultiSend(inner), operation: 1 };
+}
+
+function fromSafeSnap(payload) {
+  const safeSnap = payload.plugins?.safeSnap || payload.safeSnap || payload;
+  const safe = Array.isArray(safeSnap.safes) ? pickSafeSnapSafe(safeSnap.safes) : safeSnap;
+
+  const transactions = safe.txs.map((batch, i) => safeSnapBatchToTx(batch, safe.multiSendAddress, i));
+  const expectedHashes = safe.txs.map((batch) => batch.hash || null);
+
+  return {
+    format: "safesnap",
+    transactions,
+    expectedHashes,
+    warnings: [],
+    chainId: safe.network ? Number(safe.network) : null,
+  };
+}
+
+/**
+ * Detect the bundle format and normalize it to [{ to, value, data, operation }].
+ * Accepts a raw array, a Safe Transaction Builder batch file, or a SafeSnap
+ * plugin payload (whole Snapshot proposal, `safeSnap` object, or single safe).
+ *
+ * @returns {{ format, transactions, warnings, chainId, expectedHashes? }}
+ */
+export function parseBundleInput(input) {
+  if (Array.isArray(input)) {
+    return { format: "raw", transactions: input, warnings: [], chainId: null };
+  }
+  if (input && Array.isArray(input.transactions) && (input.meta || input.version)) {
+    return fromTxBuilder(input);
+  }
+  if (input && (input.plugins?.safeSnap || input.safeSnap || Array.isArray(input.safes) || Array.isArray(input.txs))) {
+    return fromSafeSnap(input);
+  }
+  throw new Error("Unrecognized bundle format: expected an array, a Transaction Builder batch, or a SafeSnap payload");
+}
 
 /**
  * Import a transaction bundle JSON and store it.
- * Expected format: [{ to, value, data, operation }]
+ * Accepts any format understood by parseBundleInput().
  *
  * @param {string} proposalId
- * @param {Array} transactions - array of tx objects
+ * @param {Array|object} input - parsed bundle JSON
  * @param {number} chainId
- * @returns {{ proposalId, transactions, txHashes }}
+ * @returns {{ proposalId, transactions, txHashes, format, warnings }}
  */
-export function importTxBundle(proposalId, transactions, chainId) {
+export function importTxBundle(proposalId, input, chainId) {
+  const { format, transactions, warnings, chainId: bundleChainId, expectedHashes } = parseBundleInput(input);
+  if (transactions.length === 0) {
+    throw new Error("Bundle contains no transactions");
+  }
+  if (bundleChainId && chainId && bundleChainId !== Number(chainId)) {
+    warnings.push(`Bundle targets chain ${bundleChainId}, connected chain is ${chainId}`);
+  }
+
   // Validate and normalize
   const normalized = transactions.map((tx, index) => ({
     to: ethers.getAddress(tx.to),
@@ -29,23 +173,79 @@ export function importTxBundle(proposalId, transactions, chainId) {
   }));
 
   // Calculate EIP-712 hashes for each tx
+  const { moduleAddress } = getActiveProfile();
   const txHashes = normalized.map((tx) =>
     calcRealityModuleTxHash({
       chainId,
-      moduleAddress: MODULE_ADDRESS,
+      moduleAddress,
       tx,
     })
   );
 
+  if (expectedHashes) {
+    expectedHashes.forEach((hash, i) => {
+      if (hash && txHashes[i] && hash.toLowerCase() !== txHashes[i].toLowerCase()) {
+        warnings.push(`SafeSnap hash for tx #${i} (${hash}) differs from the recomputed ${txHashes[i]}`);
+      }
+    });
+  }
+
   const bundle = {
     proposalId,
     transactions: normalized,
     txHashes,
+    format,
+    warnings,
   };
 
   return bundle;
 }
 
+/**
+ * Export a stored bundle as a Safe Transaction Builder batch file so it can
+ * be replayed from the Safe UI. Transaction Builder only sends calls, so a
+ * MultiSend delegatecall is expanded into its inner calls; any other
+ * delegatecall cannot be represented and is rejected.
+ *
+ * @param {object} bundle - stored bundle
+ * @param {{ chainId: number, safeAddress: string }} context
+ */
+export function exportTxBuilderBatch(bundle, { chainId, safeAddress }) {
+  const calls = [];
+
+  bundle.transactions.forEach((tx, i) => {
+    if (Number(tx.operation) !== 1) {
+      calls.push(tx);
+      return;
+    }
+    const tree = decodeTransaction(tx);
+    const inner = tree.decoded.name === "multiSend" ? tree.children : [];
+    if (inner.length === 0 || inner.some((c) => c.operation !== 0)) {
+      throw new Error(`Transaction #${i} is a DelegateCall that Transaction Builder cannot replay`);
+    }
+    calls.push(...inner);
+  });
+
+  return {
+    version: TX_BUILDER_VERSION,
+    chainId: String(chainId),
+    createdAt: Date.now(),
+    meta: {
+      name: `Proposal ${bundle.proposalId}`,
+      description: `Exported from the Governance Command Center (${bundle.transactions.length} module transaction(s))`,
+      createdFromSafeAddress: safeAddress || "",
+      createdFromOwnerAddress: "",
+    },
+    transactions: calls.map((tx) => ({
+      to: ethers.getAddress(tx.to),
+      value: (tx.value || "0").toString(),
+      data: tx.data && tx.data !== "0x" ? tx.data : null,
+      contractMethod: null,
+      contractInputsValues: null,
+    })),
+  };
+}
+
 /**
  * Save a tx bundle to IndexedDB.
  */
@@ -83,6 +283,271 @@ export function verifyTxBundle(bundle, proposalTxHashes) {
   return { valid: true, reason: "All hashes match" };
 }
 
+// ---- Mismatch diagnosis ----
+
+function tryHash(tx, chainId, moduleAddress) {
+  try {
+    return calcRealityModuleTxHash({ chainId, moduleAddress, tx }).toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Plausible single-field mistakes for one transaction.
+ * Each variant is { field, description, tx }.
+ */
+function txVariants(tx, count) {
+  const variants = [];
+
+  const flipped = tx.operation === 1 ? 0 : 1;
+  variants.push({
+    field: "operation",
+    description: `operation ${tx.operation} → ${flipped} (${flipped === 1 ? "DelegateCall" : "Call"})`,
+    tx: { ...tx, operation: flipped },
+  });
+
+  for (let j = 0; j < count; j++) {
+    if (j === tx.nonce) continue;
+    variants.push({
+      field: "nonce",
+      description: `nonce ${tx.nonce} → ${j}`,
+      tx: { ...tx, nonce: j },
+    });
+  }
+
+  const value = BigInt(tx.value || "0");
+  if (value > 0n) {
+    variants.push({
+      field: "value",
+      description: `value ${value} → ${value * WEI_PER_ETH} (was given in ETH, expected wei)`,
+      tx: { ...tx, value: (value * WEI_PER_ETH).toString() },
+    });
+    if (value % WEI_PER_ETH === 0n) {
+      variants.push({
+        field: "value",
+        description: `value ${value} → ${value / WEI_PER_ETH} (proposal was hashed with an ETH amount)`,
+        tx: { ...tx, value: (value / WEI_PER_ETH).toString() },
+      });
+    }
+  }
+
+  return variants;
+}
+
+/**
+ * Explain why a bundle's hashes don't match the proposal's txHashes.
+ *
+ * Recomputes calcRealityModuleTxHash under plausible variants — other chain
+ * IDs, the module addresses of every configured profile, wrong nonce/index,
+ * operation 0 vs 1 and ETH-vs-wei values — and reports
+ * which change makes each hash match.
+ *
+ * @param {object} bundle - imported bundle ({ transactions, txHashes })
+ * @param {string[]} proposalTxHashes
+ * @param {number} chainId - connected chain
+ * @returns {{ matched, total, context, findings: Array<{ index, description }> }}
+ *   index is null for bundle-wide findings.
+ */
+export function diagnoseTxBundle(bundle, proposalTxHashes, chainId) {
+  const expected = proposalTxHashes.map((h) => h.toLowerCase());
+  const txs = bundle.transactions;
+  const total = expected.length;
+  const overlap = Math.min(txs.length, total);
+  const findings = [];
+
+  if (txs.length !== total) {
+    findings.push({
+      index: null,
+      description: `Bundle has ${txs.length} transaction(s), proposal has ${total}; only the first ${overlap} are compared`,
+    });
+  }
+
+  // 1) Bundle-wide context: every chain ID × every configured module address
+  const { moduleAddress: activeModule } = getActiveProfile();
+  const moduleAddresses = [...new Set(
+    [activeModule, ...loadProfiles().profiles.map((p) => p.moduleAddress)]
+      .filter(Boolean)
+      .map((a) => a.toLowerCase())
+  )];
+  const chainIds = [...new Set([Number(chainId), ...DIAGNOSTIC_CHAIN_IDS])];
+
+  const countMatches = (cid, mod) => {
+    let n = 0;
+    for (let i = 0; i < overlap; i++) {
+      if (tryHash(txs[i], cid, mod) === expected[i]) n += 1;
+    }
+    return n;
+  };
+  // Tie-breaker when no context matches outright: how many txs a single variant fixes
+  const countNearMatches = (cid, mod) => {
+    let n = 0;
+    for (let i = 0; i < overlap; i++) {
+      if (txVariants(txs[i], total).some((v) => tryHash(v.tx, cid, mod) === expected[i])) n += 1;
+    }
+    return n;
+  };
+
+  let context = { chainId: Number(chainId), moduleAddress: activeModule.toLowerCase() };
+  const baseline = countMatches(context.chainId, context.moduleAddress);
+  let best = baseline;
+  for (const cid of chainIds) {
+    for (const mod of moduleAddresses) {
+      const n = countMatches(cid, mod);
+      if (n > best) {
+        best = n;
+        context = { chainId: cid, moduleAddress: mod };
+      }
+    }
+  }
+
+  let nearContext = false;
+  if (best === 0) {
+    let bestNear = countNearMatches(context.chainId, context.moduleAddress);
+    for (const cid of chainIds) {
+      for (const mod of moduleAddresses) {
+        const n = countNearMatches(cid, mod);
+        if (n > bestNear) {
+          bestNear = n;
+          context = { chainId: cid, moduleAddress: mod };
+          nearContext = true;
+        }
+      }
+    }
+  }
+
+  if (best > baseline || nearContext) {
+    const parts = [];
+    if (context.chainId !== Number(chainId)) parts.push(`chainId ${context.chainId} (connected: ${chainId})`);
+    if (context.moduleAddress !== activeModule.toLowerCase()) parts.push(`module ${context.moduleAddress}`);
+    findings.push({
+      index: null,
+      description: nearContext
+        ? `Proposal appears to be hashed with ${parts.join(" and ")}; see the per-transaction fixes`
+        : `Hashing with ${parts.join(" and ")} makes ${best}/${total} hashes match (vs ${baseline})`,
+    });
+  }
+
+  // 2) Per-transaction variants under the best context
+  const hashAt = (tx) => tryHash(tx, context.chainId, context.moduleAddress);
+  let matched = best;
+
+  for (let i = 0; i < overlap; i++) {
+    const tx = txs[i];
+    if (hashAt(tx) === expected[i]) continue;
+
+    // Right transaction, wrong position?
+    const movedTo = expected.findIndex((h, j) => j !== i && hashAt({ ...tx, nonce: j }) === h);
+    if (movedTo >= 0) {
+      findings.push({ index: i, description: `Matches proposal index ${movedTo}: transactions are out of order` });
+      continue;
+    }
+
+    const variants = txVariants(tx, total);
+    const single = variants.find((v) => hashAt(v.tx) === expected[i]);
+    if (single) {
+      findings.push({ index: i, description: `Fix: ${single.description}` });
+      matched += 1;
+      continue;
+    }
+
+    // Two independent mistakes (e.g. wrong operation and ETH value)
+    let pair = null;
+    for (let a = 0; a < variants.length && !pair; a++) {
+      for (let b = a + 1; b < variants.length; b++) {
+        if (variants[a].field === variants[b].field) continue;
+        const combined = { ...variants[a].tx, ...pickField(variants[b]) };
+        if (hashAt(combined) === expected[i]) {
+          pair = [variants[a], variants[b]];
+          break;
+        }
+      }
+    }
+    if (pair) {
+      findings.push({ index: i, description: `Fix: ${pair[0].description} and ${pair[1].description}` });
+      matched += 1;
+      continue;
+    }
+
+    findings.push({
+      index: i,
+      description: "No plausible single change matches; the target, value or calldata itself differs",
+    });
+  }
+
+  return { matched, total, context, findings };
+}
+
+function pickField(variant) {
+  return { [variant.field]: variant.tx[variant.field] };
+}
+
+// ---- Execution state ----
+
+/**
+ * Read which of a proposal's transactions the module has already executed.
+ * Returns one boolean per txHash, in proposal order.
+ */
+export async function loadExecutionState(provider, proposal) {
+  const mod = getModuleContract(provider);
+  const questionHash = ethers.keccak256(ethers.toUtf8Bytes(proposal.questionText));
+  return Promise.all(
+    proposal.txHashes.map((txHash) => mod.executedProposalTransactions(questionHash, txHash))
+  );
+}
+
+/**
+ * Per-index state from executed flags: "executed", "next" or "blocked".
+ * The module only runs index i once index i-1 has executed, so at most one
+ * index is "next". Returns null when the flags are unknown.
+ */
+export function getTxExecutionStates(executedTxs) {
+  if (!executedTxs) return null;
+  const next = executedTxs.indexOf(false);
+  return executedTxs.map((done, i) => {
+    if (done) return "executed";
+    return i === next ? "next" : "blocked";
+  });
+}
+
+// ---- Execute-all runs ----
+// A guided run over a bundle's remaining transactions, persisted in the
+// settings store so an interrupted run can be resumed after a reload.
+
+const RUN_KEY_PREFIX = "executionRun:";
+
+/**
+ * Create a run record.
+ * status: "running" | "paused" | "done"; pendingTx is { index, hash } while a
+ * sent transaction has no receipt yet.
+ */
+export function createExecutionRun(proposalId, startIndex, total) {
+  return {
+    proposalId,
+    status: "running",
+    startIndex,
+    nextIndex: startIndex,
+    total,
+    pendingTx: null,
+    pauseReason: "",
+    log: [],
+    updatedAt: Date.now(),
+  };
+}
+
+export async function loadExecutionRun(proposalId) {
+  return getSetting(`${RUN_KEY_PREFIX}${proposalId}`);
+}
+
+export async function saveExecutionRun(run) {
+  run.updatedAt = Date.now();
+  await setSetting(`${RUN_KEY_PREFIX}${run.proposalId}`, run);
+}
+
+export async function clearExecutionRun(proposalId) {
+  await dbDelete("settings", `${RUN_KEY_PREFIX}${proposalId}`);
+}
+
 /**
  * Execute a single transaction from a proposal.
  *
@@ -96,18 +561,27 @@ export async function executeProposalTx(signer, proposalId, txHashes, tx, txInde
   const mod = getModuleContract(signer);
 
   const result = await mod.executeProposalWithIndex(
-    proposalId,
-    txHashes,
-    tx.to,
-    tx.value || 0,
-    tx.data || "0x",
-    tx.operation || 0,
-    txIndex
+    ...executeArgs(proposalId, txHashes, tx, txIndex)
   );
 
   return result;
 }
 
+/**
+ * Simulate executeProposalWithIndex from the signer's address.
+ */
+export async function simulateExecuteProposalTx(signer, proposalId, txHashes, tx, txIndex) {
+  return simulateContractCall(
+    getModuleContract(signer),
+    "executeProposalWithIndex",
+    executeArgs(proposalId, txHashes, tx, txIndex)
+  );
+}
+
+function executeArgs(proposalId, txHashes, tx, txIndex) {
+  return [proposalId, txHashes, tx.to, tx.value || 0, tx.data || "0x", tx.operation || 0, txIndex];
+}
+
 /**
  * Build a preview of the execution call (for user review).
  */
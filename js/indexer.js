@@ -5,24 +5,47 @@
  */
 import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@6.13.4/+esm";
 import {
-  MODULE_ADDRESS,
-  REALITIO_ADDRESS,
-  LOG_CHUNK_SIZE,
   MAX_RETRIES,
   RETRY_DELAY_MS,
   MAX_BACKOFF_DELAY_MS,
   SECONDS_PER_DAY,
+  DEFAULT_CONFIRMATIONS,
+  BLOCK_HASH_HISTORY,
+  ENRICH_BATCH_SIZE,
+  ENRICH_CONCURRENCY,
+  ANSWER_INVALID,
+  getActiveProfile,
 } from "./config.js";
 import {
   moduleIface,
   realitioIface,
+  arbitratorIface,
+  safeIface,
   getModuleContract,
+  getOracle,
   topicHash,
 } from "./contracts.js";
-import { dbPut, dbGetAll, getSetting, setSetting } from "./db.js";
+import {
+  dbPut,
+  dbPutMany,
+  dbGet,
+  dbGetAll,
+  dbGetAllByIndex,
+  dbDelete,
+  dbDeleteFromIndex,
+  getSetting,
+  setSetting,
+} from "./db.js";
+import { getLogsAdaptive, isLogRangeError } from "./logs.js";
 
 let _pollTimer = null;
 let _rpcFailureHandler = null;
+// Lowercased question IDs that got new oracle / arbitrator events since the last takeTouchedQuestionIds()
+const _touchedQuestions = new Set();
+let _confirmations = DEFAULT_CONFIRMATIONS;
+let _headBlock = 0;
+let _rollbackBlock = null;
+let _indexAbort = null;
 
 // ---- Helpers ----
 
@@ -45,6 +68,8 @@ async function withRetry(fn, retries = MAX_RETRIES) {
     try {
       return await fn();
     } catch (err) {
+      // getLogs range rejections are resized by the caller, not retried
+      if (isLogRangeError(err)) throw err;
       lastErr = err;
       if (i < retries - 1) {
         await sleep(Math.min(delayMs, MAX_BACKOFF_DELAY_MS));
@@ -96,38 +121,24 @@ export async function estimateBlockFromTime(provider, secondsAgo) {
 }
 
 /**
- * Fetch logs in chunked ranges to avoid RPC limits.
+ * Fetch logs in ranges sized to the RPC's getLogs limits, with retries.
+ * Throws an AbortError between ranges once `signal` is aborted.
  */
-async function getLogsChunked(provider, filter, fromBlock, toBlock, onProgress) {
-  if (toBlock < fromBlock) return [];
-
-  const allLogs = [];
-  let current = fromBlock;
-  const totalSpan = Math.max(1, toBlock - fromBlock + 1);
-
-  while (current <= toBlock) {
-    const end = Math.min(current + LOG_CHUNK_SIZE - 1, toBlock);
-    const logs = await withRetry(() =>
-      provider.getLogs({ ...filter, fromBlock: current, toBlock: end })
-    );
-    allLogs.push(...logs);
-    current = end + 1;
-
-    if (onProgress) {
-      const scanned = end - fromBlock + 1;
-      const pct = Math.min(100, Math.round((scanned / totalSpan) * 100));
-      onProgress(pct, allLogs.length);
-    }
-  }
-
-  return allLogs;
+async function getLogsChunked(provider, filter, fromBlock, toBlock, onProgress, signal) {
+  return getLogsAdaptive(
+    (from, to) => withRetry(() => provider.getLogs({ ...filter, fromBlock: from, toBlock: to })),
+    fromBlock,
+    toBlock,
+    onProgress,
+    signal
+  );
 }
 
 function normalizeProposalId(proposalId) {
   return (proposalId || "").trim().toLowerCase();
 }
 
-async function decodeProposalFromLog(provider, moduleContract, log) {
+async function decodeProposalFromLog(provider, moduleContract, log, blockTime) {
   const parsed = moduleIface.parseLog({ topics: log.topics, data: log.data });
   const questionId = parsed.args[0];
 
@@ -135,12 +146,12 @@ async function decodeProposalFromLog(provider, moduleContract, log) {
   let txHashes = [];
   let questionText = "";
 
-  // Decode addProposal call input to recover proposalId + txHashes
+  // Decode addProposal / addProposalWithNonce call input to recover proposalId + txHashes
   try {
     const tx = await withRetry(() => provider.getTransaction(log.transactionHash));
     if (tx && tx.data) {
       const decoded = moduleIface.parseTransaction({ data: tx.data, value: tx.value });
-      if (decoded && decoded.name === "addProposal") {
+      if (decoded && (decoded.name === "addProposal" || decoded.name === "addProposalWithNonce")) {
         proposalId = decoded.args[0];
         txHashes = Array.from(decoded.args[1]);
       }
@@ -161,8 +172,7 @@ async function decodeProposalFromLog(provider, moduleContract, log) {
   // Block timestamp for table display
   let createdTimestamp = 0;
   try {
-    const block = await withRetry(() => provider.getBlock(log.blockNumber));
-    createdTimestamp = block ? block.timestamp : 0;
+    createdTimestamp = await blockTime(log.blockNumber);
   } catch {
     // ignore timestamp failures
   }
@@ -178,90 +188,574 @@ async function decodeProposalFromLog(provider, moduleContract, log) {
   };
 }
 
-async function scanProposalsInRange(provider, fromBlock, toBlock, onProgress) {
+// ---- Proposal enrichment ----
+
+/**
+ * Start a cancellable indexing run; cancelIndexing() aborts the returned signal.
+ */
+function beginCancellable() {
+  _indexAbort = new AbortController();
+  return _indexAbort.signal;
+}
+
+/**
+ * Cancel the running backfill or proposal search. Enrichment batches already
+ * sent are kept; the run then throws an AbortError without marking its range
+ * as processed.
+ */
+export function cancelIndexing() {
+  if (_indexAbort) _indexAbort.abort();
+}
+
+function formatEta(seconds) {
+  const s = Math.max(0, Math.round(seconds));
+  return s < 60 ? `${s}s` : `${Math.floor(s / 60)}m ${String(s % 60).padStart(2, "0")}s`;
+}
+
+/**
+ * Decode ProposalQuestionCreated logs into proposal records and store them.
+ *
+ * Logs are split into batches of ENRICH_BATCH_SIZE, with up to
+ * ENRICH_CONCURRENCY batches in flight. The calls of a batch are issued
+ * together, so the JsonRpcProvider sends them as JSON-RPC batch requests;
+ * block timestamps are fetched once per block. Each batch is written in one
+ * transaction. Returns the proposals in log order.
+ */
+async function enrichProposalLogs(provider, logs, onProgress, signal) {
+  const moduleContract = getModuleContract(provider);
+  const blockTime = blockTimestamps(provider);
+  const batches = [];
+  for (let i = 0; i < logs.length; i += ENRICH_BATCH_SIZE) {
+    batches.push(logs.slice(i, i + ENRICH_BATCH_SIZE));
+  }
+
+  const results = new Array(batches.length).fill([]);
+  const started = Date.now();
+  let next = 0;
+  let done = 0;
+
+  const worker = async () => {
+    while (next < batches.length && !signal?.aborted) {
+      const i = next++;
+      const decoded = await Promise.all(batches[i].map(async (log) => {
+        try {
+          return await decodeProposalFromLog(provider, moduleContract, log, blockTime);
+        } catch (err) {
+          console.error("Error processing proposal log:", err);
+          return null;
+        }
+      }));
+      results[i] = decoded.filter(Boolean);
+      await dbPutMany("proposals", results[i]);
+
+      done += batches[i].length;
+      if (onProgress) {
+        const rate = done / Math.max(0.001, (Date.now() - started) / 1000);
+        onProgress(100, done, `Enriching proposals ${done}/${logs.length} · ` +
+          `${rate.toFixed(1)}/s · ETA ${formatEta((logs.length - done) / rate)}`);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(ENRICH_CONCURRENCY, batches.length) }, worker));
+  signal?.throwIfAborted();
+  return results.flat();
+}
+
+async function scanProposalsInRange(provider, fromBlock, toBlock, onProgress, signal) {
   if (toBlock < fromBlock) return [];
 
   const filter = {
-    address: MODULE_ADDRESS,
+    address: getActiveProfile().moduleAddress,
     topics: [topicHash(moduleIface, "ProposalQuestionCreated")],
   };
 
   if (onProgress) onProgress(0, 0, "Scanning proposal events...");
   const logs = await getLogsChunked(provider, filter, fromBlock, toBlock, (pct, count) => {
     if (onProgress) onProgress(pct, count, `Scanning proposal logs... ${pct}%`);
-  });
+  }, signal);
 
+  signal?.throwIfAborted();
   if (onProgress) onProgress(100, logs.length, `Found ${logs.length} proposals. Enriching...`);
 
-  const moduleContract = getModuleContract(provider);
-  const proposals = [];
+  return enrichProposalLogs(provider, logs, onProgress, signal);
+}
 
-  for (let i = 0; i < logs.length; i++) {
-    const log = logs[i];
-    try {
-      const proposal = await decodeProposalFromLog(provider, moduleContract, log);
-      await dbPut("proposals", proposal);
-      proposals.push(proposal);
+/**
+ * Topic0 filter for the oracle events cached per question: answers and bounty top-ups.
+ */
+function questionEventTopics() {
+  return [topicHash(realitioIface, "LogNewAnswer"), topicHash(realitioIface, "LogFundAnswerBounty")];
+}
 
-      if (onProgress) {
-        onProgress(100, logs.length, `Enriching proposal ${i + 1}/${logs.length}...`);
-      }
-    } catch (err) {
-      console.error("Error processing proposal log:", err);
-    }
+/**
+ * Parse a LogNewAnswer / LogFundAnswerBounty log and cache it in the
+ * "answers" or "bounties" store. Returns the stored record with its `kind`.
+ */
+async function storeQuestionEvent(log) {
+  const parsed = realitioIface.parseLog({ topics: log.topics, data: log.data });
+  if (!parsed) return null;
+
+  const questionId = parsed.args.question_id;
+  const id = `${questionId}:${log.blockNumber}:${log.transactionIndex}:${log.index}`;
+  _touchedQuestions.add(questionId.toLowerCase());
+
+  if (parsed.name === "LogFundAnswerBounty") {
+    const bounty = {
+      id,
+      questionId,
+      user: parsed.args.user,
+      bountyAdded: parsed.args.bounty_added.toString(),
+      bounty: parsed.args.bounty.toString(),
+      txHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+    };
+    await dbPut("bounties", bounty);
+    return { kind: "bounty", record: bounty };
   }
 
-  return proposals;
+  const answer = {
+    id,
+    questionId,
+    answer: parsed.args.answer || parsed.args[0],
+    historyHash: parsed.args.history_hash || parsed.args[2],
+    user: parsed.args.user || parsed.args[3],
+    bond: parsed.args.bond?.toString() || parsed.args[4]?.toString() || "0",
+    ts: Number(parsed.args.ts || parsed.args[5] || 0),
+    isCommitment: parsed.args.is_commitment || parsed.args[6] || false,
+    txHash: log.transactionHash,
+    blockNumber: log.blockNumber,
+    logIndex: log.index,
+  };
+  await dbPut("answers", answer);
+  return { kind: "answer", record: answer };
 }
 
-async function indexAnswersInRange(provider, fromBlock, toBlock, onProgress) {
+async function indexAnswersInRange(provider, fromBlock, toBlock, onProgress, signal) {
   if (toBlock < fromBlock) return 0;
 
   const filter = {
-    address: REALITIO_ADDRESS,
-    topics: [topicHash(realitioIface, "LogNewAnswer")],
+    address: getOracle().address,
+    topics: [questionEventTopics()],
   };
 
   if (onProgress) onProgress(0, 0, "Scanning answer events...");
   const logs = await getLogsChunked(provider, filter, fromBlock, toBlock, (pct, count) => {
     if (onProgress) onProgress(pct, count, `Scanning answer logs... ${pct}%`);
-  });
+  }, signal);
 
   let parsedCount = 0;
   for (const log of logs) {
     try {
-      const parsed = realitioIface.parseLog({ topics: log.topics, data: log.data });
-      if (!parsed) continue;
+      const stored = await storeQuestionEvent(log);
+      if (stored?.kind === "answer") parsedCount += 1;
+    } catch {
+      // skip malformed events
+    }
+  }
+
+  return parsedCount;
+}
+
+/**
+ * Backfill answer events in a specific block range.
+ */
+export async function backfillAnswerHistory(provider, fromBlock, toBlock, onProgress) {
+  return indexAnswersInRange(provider, fromBlock, toBlock, onProgress);
+}
+
+// ---- Question lifecycle events ----
+
+/**
+ * Question IDs with new answers, bounties, arbitration or finalization events
+ * indexed since the previous call; only these need questions() re-read.
+ */
+export function takeTouchedQuestionIds() {
+  const ids = new Set(_touchedQuestions);
+  _touchedQuestions.clear();
+  return ids;
+}
+
+/**
+ * Memoized block timestamp lookup for one indexing pass. Concurrent lookups
+ * of the same block share one request.
+ */
+function blockTimestamps(provider) {
+  const cache = new Map();
+  return (blockNumber) => {
+    if (!cache.has(blockNumber)) {
+      const pending = withRetry(() => provider.getBlock(blockNumber)).then((block) => (block ? block.timestamp : 0));
+      pending.catch(() => cache.delete(blockNumber));
+      cache.set(blockNumber, pending);
+    }
+    return cache.get(blockNumber);
+  };
+}
+
+function eventRecordBase(questionId, log) {
+  return {
+    id: `${questionId}:${log.blockNumber}:${log.transactionIndex}:${log.index}`,
+    questionId,
+    txHash: log.transactionHash,
+    blockNumber: log.blockNumber,
+    logIndex: log.index,
+  };
+}
 
-      const questionId = parsed.args.question_id || parsed.args[1];
-      const answer = {
-        id: `${questionId}:${log.blockNumber}:${log.transactionIndex}:${log.index}`,
+/**
+ * Store the LogNewQuestion events of questions asked by the module.
+ */
+async function indexAskedQuestions(provider, fromBlock, toBlock, onProgress, signal) {
+  const moduleTopic = ethers.zeroPadValue(getActiveProfile().moduleAddress, 32);
+  const logs = await getLogsChunked(
+    provider,
+    { address: getOracle().address, topics: [topicHash(realitioIface, "LogNewQuestion"), null, moduleTopic] },
+    fromBlock,
+    toBlock,
+    (pct, count) => {
+      if (onProgress) onProgress(pct, count, `Scanning question logs... ${pct}%`);
+    },
+    signal
+  );
+
+  for (const log of logs) {
+    try {
+      const { args } = realitioIface.parseLog({ topics: log.topics, data: log.data });
+      const questionId = args.question_id.toLowerCase();
+      await dbPut("questions", {
         questionId,
-        answer: parsed.args.answer || parsed.args[0],
-        historyHash: parsed.args.history_hash || parsed.args[2],
-        user: parsed.args.user || parsed.args[3],
-        bond: parsed.args.bond?.toString() || parsed.args[4]?.toString() || "0",
-        ts: Number(parsed.args.ts || parsed.args[5] || 0),
-        isCommitment: parsed.args.is_commitment || parsed.args[6] || false,
+        txHash: log.transactionHash,
         blockNumber: log.blockNumber,
         logIndex: log.index,
-      };
+        templateId: Number(args.template_id),
+        question: args.question,
+        contentHash: args.content_hash,
+        arbitrator: args.arbitrator,
+        timeout: Number(args.timeout),
+        openingTs: Number(args.opening_ts),
+        nonce: args.nonce.toString(),
+        ts: Number(args.created),
+      });
+    } catch {
+      // skip malformed events
+    }
+  }
+  return logs.length;
+}
 
-      await dbPut("answers", answer);
-      parsedCount += 1;
+/**
+ * Store LogFinalize / LogNotifyOfArbitrationRequest / LogCancelArbitration
+ * for module questions.
+ */
+async function indexOracleLifecycle(provider, fromBlock, toBlock, questionIds, blockTime, signal) {
+  const names = ["LogFinalize", "LogNotifyOfArbitrationRequest", "LogCancelArbitration"];
+  const logs = await getLogsChunked(
+    provider,
+    { address: getOracle().address, topics: [names.map((name) => topicHash(realitioIface, name))] },
+    fromBlock,
+    toBlock,
+    null,
+    signal
+  );
+
+  let count = 0;
+  for (const log of logs) {
+    const questionId = (log.topics[1] || "").toLowerCase();
+    if (!questionIds.has(questionId)) continue;
+
+    try {
+      const parsed = realitioIface.parseLog({ topics: log.topics, data: log.data });
+      const base = { ...eventRecordBase(questionId, log), ts: await blockTime(log.blockNumber) };
+      if (parsed.name === "LogFinalize") {
+        await dbPut("finalizations", { ...base, answer: parsed.args.answer });
+      } else {
+        await dbPut("arbitrations", {
+          ...base,
+          kind: parsed.name === "LogCancelArbitration" ? "cancel" : "notify",
+          source: log.address,
+          user: parsed.args.user || null,
+        });
+      }
+      _touchedQuestions.add(questionId);
+      count += 1;
     } catch {
       // skip malformed events
     }
   }
+  return count;
+}
 
-  return parsedCount;
+/**
+ * Store the module questions' arbitrator events: Arbitrator.sol fee payments,
+ * and Kleros disputes (evidence group = question ID) with their rulings.
+ */
+async function indexArbitratorEvents(provider, fromBlock, toBlock, questions, blockTime, signal) {
+  const arbitrators = [...new Set(questions.map((q) => q.arbitrator.toLowerCase()))];
+  if (arbitrators.length === 0) return 0;
+
+  const questionIds = new Set(questions.map((q) => q.questionId));
+  const names = ["LogRequestArbitration", "Dispute", "Ruling"];
+  const logs = await getLogsChunked(
+    provider,
+    { address: arbitrators, topics: [names.map((name) => topicHash(arbitratorIface, name))] },
+    fromBlock,
+    toBlock,
+    null,
+    signal
+  );
+  if (logs.length === 0) return 0;
+
+  // Rulings only name the dispute; map it back through the stored Dispute events
+  const disputes = new Map();
+  for (const a of await dbGetAll("arbitrations")) {
+    if (a.kind === "dispute") disputes.set(`${a.source.toLowerCase()}:${a.disputeId}`, a.questionId);
+  }
+
+  let count = 0;
+  for (const log of logs) {
+    try {
+      const parsed = arbitratorIface.parseLog({ topics: log.topics, data: log.data });
+      const source = log.address.toLowerCase();
+      let record;
+
+      if (parsed.name === "LogRequestArbitration") {
+        record = {
+          questionId: parsed.args.question_id.toLowerCase(),
+          kind: "request",
+          user: parsed.args.requester,
+          feePaid: parsed.args.fee_paid.toString(),
+          remaining: parsed.args.remaining.toString(),
+        };
+      } else if (parsed.name === "Dispute") {
+        const disputeId = parsed.args._disputeID.toString();
+        const questionId = ethers.toBeHex(parsed.args._evidenceGroupID, 32).toLowerCase();
+        disputes.set(`${source}:${disputeId}`, questionId);
+        record = { questionId, kind: "dispute", disputeId, court: parsed.args._arbitrator };
+      } else {
+        const disputeId = parsed.args._disputeID.toString();
+        const ruling = parsed.args._ruling;
+        record = {
+          questionId: disputes.get(`${source}:${disputeId}`),
+          kind: "ruling",
+          disputeId,
+          ruling: ruling.toString(),
+          answer: ruling === 0n ? ANSWER_INVALID : ethers.toBeHex(ruling - 1n, 32),
+        };
+      }
+
+      if (!record.questionId || !questionIds.has(record.questionId)) continue;
+      await dbPut("arbitrations", {
+        ...eventRecordBase(record.questionId, log),
+        ts: await blockTime(log.blockNumber),
+        source: log.address,
+        ...record,
+      });
+      _touchedQuestions.add(record.questionId);
+      count += 1;
+    } catch {
+      // skip malformed events
+    }
+  }
+  return count;
 }
 
 /**
- * Backfill answer events in a specific block range.
+ * Index the lifecycle events of module questions in a block range: the
+ * LogNewQuestion that asked them, LogFinalize, the oracle's arbitration
+ * notifications and their arbitrators' own events. Returns the number of
+ * events stored.
  */
-export async function backfillAnswerHistory(provider, fromBlock, toBlock, onProgress) {
-  return indexAnswersInRange(provider, fromBlock, toBlock, onProgress);
+async function indexQuestionEventsInRange(provider, fromBlock, toBlock, onProgress, signal) {
+  if (toBlock < fromBlock) return 0;
+
+  if (onProgress) onProgress(0, 0, "Scanning question events...");
+  let count = await indexAskedQuestions(provider, fromBlock, toBlock, onProgress, signal);
+
+  // Known proposals count as module questions even if their LogNewQuestion is outside the range
+  const questions = await dbGetAll("questions");
+  const questionIds = new Set(questions.map((q) => q.questionId));
+  for (const p of await dbGetAll("proposals")) questionIds.add(p.questionId.toLowerCase());
+
+  const blockTime = blockTimestamps(provider);
+  if (onProgress) onProgress(100, count, "Scanning arbitration and finalization events...");
+  count += await indexOracleLifecycle(provider, fromBlock, toBlock, questionIds, blockTime, signal);
+  count += await indexArbitratorEvents(provider, fromBlock, toBlock, questions, blockTime, signal);
+  return count;
+}
+
+/**
+ * Backfill question lifecycle events in a specific block range.
+ */
+export async function backfillQuestionEvents(provider, fromBlock, toBlock, onProgress) {
+  return indexQuestionEventsInRange(provider, fromBlock, toBlock, onProgress);
+}
+
+/**
+ * Load the indexed lifecycle of one question:
+ * { question (LogNewQuestion or null), finalizations, arbitrations } with events oldest first.
+ */
+export async function loadQuestionEvents(questionId) {
+  const key = questionId.toLowerCase();
+  const byOrder = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+  const [question, finalizations, arbitrations] = await Promise.all([
+    dbGet("questions", key),
+    dbGetAllByIndex("finalizations", "questionId", key),
+    dbGetAllByIndex("arbitrations", "questionId", key),
+  ]);
+  return {
+    question: question || null,
+    finalizations: finalizations.sort(byOrder),
+    arbitrations: arbitrations.sort(byOrder),
+  };
+}
+
+/**
+ * Find the transactions that executed a proposal's transactions from
+ * `fromBlock` on: the target's ExecutionFromModuleSuccess logs for the module,
+ * matched by decoding executeProposalWithIndex from each transaction's input.
+ * Executions relayed through another contract cannot be matched.
+ *
+ * @returns {{ executions: Array<{ txIndex, txHash, blockNumber, ts }>, scannedTo: number }}
+ */
+export async function fetchExecutionTxs(provider, proposal, targetAddress, fromBlock) {
+  const latestBlock = await withRetry(() => provider.getBlockNumber());
+  const logs = await getLogsChunked(
+    provider,
+    {
+      address: targetAddress,
+      topics: [
+        topicHash(safeIface, "ExecutionFromModuleSuccess"),
+        ethers.zeroPadValue(getActiveProfile().moduleAddress, 32),
+      ],
+    },
+    fromBlock,
+    latestBlock
+  );
+
+  const blockTime = blockTimestamps(provider);
+  const seen = new Set();
+  const executions = [];
+  for (const log of logs) {
+    if (seen.has(log.transactionHash)) continue;
+    seen.add(log.transactionHash);
+
+    try {
+      const tx = await withRetry(() => provider.getTransaction(log.transactionHash));
+      const decoded = tx ? moduleIface.parseTransaction({ data: tx.data, value: tx.value }) : null;
+      if (decoded?.name !== "executeProposalWithIndex" || decoded.args.proposalId !== proposal.proposalId) continue;
+      if (decoded.args.txHashes.join() !== proposal.txHashes.join()) continue;
+
+      executions.push({
+        txIndex: Number(decoded.args.txIndex),
+        txHash: log.transactionHash,
+        blockNumber: log.blockNumber,
+        ts: await blockTime(log.blockNumber),
+      });
+    } catch (err) {
+      console.warn(`Could not decode execution tx ${log.transactionHash}:`, err.message);
+    }
+  }
+
+  return { executions, scannedTo: latestBlock };
+}
+
+// ---- Reorg handling ----
+
+// Stores holding log records, with the index on the block they were logged in
+const BLOCK_INDEXED_STORES = [
+  ["proposals", "createdBlock"],
+  ["answers", "blockNumber"],
+  ["bounties", "blockNumber"],
+  ["questions", "blockNumber"],
+  ["finalizations", "blockNumber"],
+  ["arbitrations", "blockNumber"],
+];
+
+/**
+ * Set how many blocks deep a record must be before it counts as confirmed.
+ */
+export function setConfirmationDepth(blocks) {
+  _confirmations = Math.max(0, Number(blocks) || 0);
+}
+
+/**
+ * First block of the unconfirmed window (Infinity until the head is known).
+ * Records logged at or after it can still be reorged away.
+ */
+export function getUnconfirmedFrom() {
+  return _headBlock > 0 ? _headBlock - _confirmations + 1 : Infinity;
+}
+
+/**
+ * Block the index was rolled back to since the previous call (null if none).
+ */
+export function takeRollbackBlock() {
+  const block = _rollbackBlock;
+  _rollbackBlock = null;
+  return block;
+}
+
+/**
+ * Remember the hash of the newest processed block so later polls can tell
+ * whether the indexed range is still on the canonical chain.
+ */
+async function recordBlockHash(block) {
+  if (!block) return;
+  const hashes = (await getSetting("blockHashes")) || [];
+  if (hashes.length > 0 && hashes[hashes.length - 1].number >= block.number) return;
+
+  hashes.push({ number: block.number, hash: block.hash });
+  await setSetting("blockHashes", hashes.slice(-BLOCK_HASH_HISTORY));
+}
+
+/**
+ * Compare the stored block hashes with the chain. On a mismatch, keep the
+ * newest stored block that is still canonical, delete everything indexed
+ * after it and move lastProcessedBlock back so the next scan re-indexes the
+ * replaced blocks. Returns the block rolled back to, or null.
+ */
+async function rollbackReorg(provider) {
+  const hashes = (await getSetting("blockHashes")) || [];
+  if (hashes.length === 0) return null;
+
+  const isCanonical = async ({ number, hash }) => {
+    const block = await withRetry(() => provider.getBlock(number));
+    return block?.hash === hash;
+  };
+  let kept = hashes.length - 1;
+  if (await isCanonical(hashes[kept])) return null;
+
+  while (kept > 0 && !(await isCanonical(hashes[kept - 1]))) kept -= 1;
+  // Deeper than the stored hashes reach: assume the reorg spans one confirmation window more
+  const forkBlock = kept > 0
+    ? hashes[kept - 1].number
+    : Math.max(0, hashes[0].number - Math.max(_confirmations, 1));
+  const fromBlock = forkBlock + 1;
+
+  let removed = 0;
+  for (const [storeName, indexName] of BLOCK_INDEXED_STORES) {
+    const deleted = await dbDeleteFromIndex(storeName, indexName, fromBlock);
+    for (const record of deleted) {
+      _touchedQuestions.add(record.questionId.toLowerCase());
+      if (storeName === "proposals") await dbDelete("questions_state", record.questionId);
+    }
+    removed += deleted.length;
+  }
+
+  // Execution scans past the fork are redone from the fork
+  for (const proposal of await dbGetAll("proposals")) {
+    if (!(proposal.executionsScannedBlock >= fromBlock)) continue;
+    proposal.executions = (proposal.executions || []).filter((x) => x.blockNumber < fromBlock);
+    proposal.executionsScannedBlock = forkBlock;
+    await dbPut("proposals", proposal);
+  }
+
+  await setSetting("blockHashes", hashes.slice(0, kept));
+  await setSetting("lastProcessedBlock", forkBlock);
+  _rollbackBlock = forkBlock;
+  console.warn(`Chain reorg detected: removed ${removed} record(s) indexed after block ${forkBlock}`);
+  return forkBlock;
 }
 
 async function updateIndexedRangeSettings(fromBlock, toBlock) {
@@ -281,7 +775,8 @@ async function updateIndexedRangeSettings(fromBlock, toBlock) {
  */
 export async function backfillProposals(provider, backfillDays, onProgress) {
   const secondsAgo = backfillDays * SECONDS_PER_DAY;
-  const fromBlock = await estimateBlockFromTime(provider, secondsAgo);
+  const estimatedBlock = await estimateBlockFromTime(provider, secondsAgo);
+  const fromBlock = Math.max(estimatedBlock, getActiveProfile().deploymentBlock);
   const latestBlock = await withRetry(() => provider.getBlockNumber());
 
   return backfillProposalsRange(provider, fromBlock, latestBlock, onProgress);
@@ -289,38 +784,58 @@ export async function backfillProposals(provider, backfillDays, onProgress) {
 
 /**
  * Backfill proposals (and answer logs) in an explicit block range.
+ * Throws an AbortError, leaving the range unprocessed, after cancelIndexing().
  */
 export async function backfillProposalsRange(provider, fromBlock, toBlock, onProgress) {
   if (toBlock < fromBlock) return [];
 
-  const proposals = await scanProposalsInRange(provider, fromBlock, toBlock, onProgress);
+  const signal = beginCancellable();
+  // Hash read before the scan, so a reorg during the scan shows up as a mismatch
+  const tip = await withRetry(() => provider.getBlock(toBlock));
+  _headBlock = Math.max(_headBlock, toBlock);
+  const proposals = await scanProposalsInRange(provider, fromBlock, toBlock, onProgress, signal);
 
   if (onProgress) onProgress(100, proposals.length, "Indexing answer history...");
-  await indexAnswersInRange(provider, fromBlock, toBlock);
+  await indexAnswersInRange(provider, fromBlock, toBlock, null, signal);
+  signal.throwIfAborted();
+  await indexQuestionEventsInRange(provider, fromBlock, toBlock, onProgress, signal);
+  signal.throwIfAborted();
 
   await updateIndexedRangeSettings(fromBlock, toBlock);
+  await recordBlockHash(tip);
   return proposals;
 }
 
 /**
- * Fetch newly created proposals + answer logs since the last processed block.
+ * Fetch newly created proposals + answer logs since the last processed block,
+ * after rolling back anything indexed from blocks a reorg replaced.
  */
 export async function fetchNewProposals(provider) {
+  await rollbackReorg(provider);
+
   const lastBlock = Number((await getSetting("lastProcessedBlock")) || 0);
-  const latestBlock = await withRetry(() => provider.getBlockNumber());
+  // No cursor until a backfill completes; polling must not scan from genesis in its place
+  if (!lastBlock) return [];
 
-  if (latestBlock <= lastBlock) return [];
+  const head = await withRetry(() => provider.getBlock("latest"));
+  const latestBlock = head.number;
+  _headBlock = latestBlock;
+
+  const fromBlock = Math.max(lastBlock + 1, getActiveProfile().deploymentBlock);
+  if (latestBlock < fromBlock) return [];
 
-  const fromBlock = lastBlock + 1;
   const newProposals = await scanProposalsInRange(provider, fromBlock, latestBlock);
   await indexAnswersInRange(provider, fromBlock, latestBlock);
+  await indexQuestionEventsInRange(provider, fromBlock, latestBlock);
 
   await updateIndexedRangeSettings(fromBlock, latestBlock);
+  await recordBlockHash(head);
   return newProposals;
 }
 
 /**
- * Fetch answer events for a specific questionId and cache them.
+ * Fetch answer (and bounty) events for a specific questionId and cache them.
+ * Returns the answers.
  */
 export async function fetchAnswerHistory(provider, questionId) {
   const latestBlock = await withRetry(() => provider.getBlockNumber());
@@ -328,13 +843,14 @@ export async function fetchAnswerHistory(provider, questionId) {
   // Use proposal creation block if known
   const proposals = await dbGetAll("proposals");
   const proposal = proposals.find((p) => p.questionId === questionId);
-  const startBlock = proposal ? proposal.createdBlock : Math.max(0, latestBlock - 50000);
+  const { deploymentBlock } = getActiveProfile();
+  const startBlock = proposal ? proposal.createdBlock : Math.max(deploymentBlock, latestBlock - 50000);
 
   const logs = await getLogsChunked(
     provider,
     {
-      address: REALITIO_ADDRESS,
-      topics: [topicHash(realitioIface, "LogNewAnswer"), questionId],
+      address: getOracle().address,
+      topics: [questionEventTopics(), questionId],
     },
     startBlock,
     latestBlock
@@ -343,27 +859,10 @@ export async function fetchAnswerHistory(provider, questionId) {
   const answers = [];
   for (const log of logs) {
     try {
-      const parsed = realitioIface.parseLog({ topics: log.topics, data: log.data });
-      if (!parsed) continue;
-
-      const logQuestionId = (parsed.args.question_id || parsed.args[1] || "").toLowerCase();
-      if (logQuestionId !== questionId.toLowerCase()) continue;
-
-      const answer = {
-        id: `${questionId}:${log.blockNumber}:${log.transactionIndex}:${log.index}`,
-        questionId,
-        answer: parsed.args.answer || parsed.args[0],
-        historyHash: parsed.args.history_hash || parsed.args[2],
-        user: parsed.args.user || parsed.args[3],
-        bond: parsed.args.bond?.toString() || parsed.args[4]?.toString() || "0",
-        ts: Number(parsed.args.ts || parsed.args[5] || 0),
-        isCommitment: parsed.args.is_commitment || parsed.args[6] || false,
-        blockNumber: log.blockNumber,
-        logIndex: log.index,
-      };
+      if ((log.topics[1] || "").toLowerCase() !== questionId.toLowerCase()) continue;
 
-      await dbPut("answers", answer);
-      answers.push(answer);
+      const stored = await storeQuestionEvent(log);
+      if (stored?.kind === "answer") answers.push(stored.record);
     } catch {
       // skip malformed events
     }
@@ -373,77 +872,66 @@ export async function fetchAnswerHistory(provider, questionId) {
 }
 
 /**
- * Find and index a proposal by proposalId, scanning all history if needed.
+ * Find and index every question attempt of a proposalId, scanning all history
+ * if needed. Returns the newest attempt (null if none was found).
  */
 export async function findProposalById(provider, proposalId, onProgress) {
   const target = normalizeProposalId(proposalId);
   if (!target) return null;
 
+  const signal = beginCancellable();
   const latestBlock = await withRetry(() => provider.getBlockNumber());
   const eventTopic = topicHash(moduleIface, "ProposalQuestionCreated");
-  const moduleContract = getModuleContract(provider);
+  const { moduleAddress, deploymentBlock } = getActiveProfile();
 
   // First attempt: indexed proposal hash topic filter
   const hashedLogs = await getLogsChunked(
     provider,
     {
-      address: MODULE_ADDRESS,
+      address: moduleAddress,
       topics: [eventTopic, null, ethers.id(proposalId)],
     },
-    0,
+    deploymentBlock,
     latestBlock,
     (pct, count) => {
       if (onProgress) onProgress(pct, count, `Searching by indexed proposal hash... ${pct}%`);
-    }
+    },
+    signal
   );
 
-  for (const log of hashedLogs) {
-    try {
-      const proposal = await decodeProposalFromLog(provider, moduleContract, log);
-      await dbPut("proposals", proposal);
-      if (normalizeProposalId(proposal.proposalId) === target) {
+  const findMatches = async (logs) => {
+    const proposals = await enrichProposalLogs(provider, logs, onProgress, signal);
+    const matches = proposals.filter((p) => normalizeProposalId(p.proposalId) === target);
+    for (const proposal of matches) {
+      try {
         await fetchAnswerHistory(provider, proposal.questionId);
-        return proposal;
+      } catch (err) {
+        console.warn(`Could not fetch answers for ${proposal.questionId}:`, err.message);
       }
-    } catch {
-      // continue
     }
-  }
+    return matches;
+  };
+
+  let matches = await findMatches(hashedLogs);
+  if (matches.length > 0) return matches[matches.length - 1];
 
   // Fallback: full event scan + tx input decode
   const allLogs = await getLogsChunked(
     provider,
     {
-      address: MODULE_ADDRESS,
+      address: moduleAddress,
       topics: [eventTopic],
     },
-    0,
+    deploymentBlock,
     latestBlock,
     (pct, count) => {
       if (onProgress) onProgress(pct, count, `Deep scan across all proposal logs... ${pct}%`);
-    }
+    },
+    signal
   );
 
-  for (let i = 0; i < allLogs.length; i++) {
-    const log = allLogs[i];
-    try {
-      const proposal = await decodeProposalFromLog(provider, moduleContract, log);
-      await dbPut("proposals", proposal);
-
-      if (normalizeProposalId(proposal.proposalId) === target) {
-        await fetchAnswerHistory(provider, proposal.questionId);
-        return proposal;
-      }
-
-      if (onProgress && i % 25 === 0) {
-        onProgress(100, i + 1, `Decoded ${i + 1}/${allLogs.length} proposal tx inputs...`);
-      }
-    } catch {
-      // continue
-    }
-  }
-
-  return null;
+  matches = await findMatches(allLogs);
+  return matches.length > 0 ? matches[matches.length - 1] : null;
 }
 
 /**
@@ -0,0 +1,142 @@
+/**
+ * integrity.js — Check an indexed proposal against the question actually asked
+ *
+ * The proposal's question text is rebuilt locally via buildQuestion(); these
+ * checks make sure the on-chain Reality.eth question is that text, that the
+ * module maps it back to this question ID, and that it was asked with the
+ * module's arbitrator and timeout.
+ */
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@6.13.4/+esm";
+import { QUESTION_ID_INVALIDATED } from "./config.js";
+import { getOracle, realitioIface, topicHash } from "./contracts.js";
+import { loadModuleQuestionId } from "./reality.js";
+
+/**
+ * Find the LogNewQuestion emitted in the proposal's creation transaction.
+ * Gives the template_id and text the oracle actually received (null if not found).
+ */
+async function findAskedQuestion(provider, proposal) {
+  if (!proposal.createdTxHash) return null;
+
+  const receipt = await provider.getTransactionReceipt(proposal.createdTxHash);
+  if (!receipt) return null;
+
+  const oracle = getOracle().address.toLowerCase();
+  const topic = topicHash(realitioIface, "LogNewQuestion");
+  const log = receipt.logs.find((l) =>
+    l.address.toLowerCase() === oracle &&
+    l.topics[0] === topic &&
+    l.topics[1]?.toLowerCase() === proposal.questionId.toLowerCase()
+  );
+  if (!log) return null;
+
+  const parsed = realitioIface.parseLog({ topics: log.topics, data: log.data });
+  return {
+    templateId: parsed.args.template_id,
+    question: parsed.args.question,
+    openingTs: Number(parsed.args.opening_ts),
+  };
+}
+
+/**
+ * Run the integrity checks for one proposal.
+ *
+ * @param {ethers.Provider} provider
+ * @param {object} proposal - indexed proposal (questionId, questionText, createdTxHash)
+ * @param {object} questionState - from loadQuestionState()
+ * @param {object} moduleConfig - from loadModuleConfig()
+ * @returns {{ status: "ok" | "warn" | "fail", checks: Array<{ name, result, detail }>, checkedAt }}
+ */
+export async function checkProposalIntegrity(provider, proposal, questionState, moduleConfig) {
+  const checks = [];
+  const add = (name, result, detail) => checks.push({ name, result, detail });
+  const text = proposal.questionText || "";
+
+  if (!text) {
+    add("Question text", "fail", "Could not rebuild the question text via buildQuestion()");
+  }
+
+  let asked = null;
+  try {
+    asked = await findAskedQuestion(provider, proposal);
+  } catch (err) {
+    console.warn(`Could not load creation receipt for ${proposal.questionId}:`, err.message);
+  }
+
+  // The live module config may have changed since the question was asked; without
+  // the receipt there is nothing to verify the template, arbitrator and timeout against
+  if (!asked) {
+    add("Creation receipt", "warn", "Could not verify: the creation transaction's LogNewQuestion was not found");
+  }
+
+  if (text && asked) {
+    add(
+      "Question text",
+      asked.question === text ? "ok" : "fail",
+      asked.question === text
+        ? "LogNewQuestion text equals the rebuilt text"
+        : "The text the oracle received differs from the rebuilt proposal text"
+    );
+  }
+
+  // content_hash = keccak256(abi.encodePacked(template_id, opening_ts, question))
+  if (text && asked && questionState) {
+    const templateId = asked.templateId;
+    const expected = ethers.solidityPackedKeccak256(
+      ["uint256", "uint32", "string"],
+      [templateId, questionState.openingTs, text]
+    );
+    const ok = expected.toLowerCase() === questionState.contentHash.toLowerCase();
+    add(
+      "Content hash",
+      ok ? "ok" : "fail",
+      ok
+        ? `Matches template ${templateId} and the rebuilt text`
+        : `questions().content_hash ${questionState.contentHash} ≠ expected ${expected} (template ${templateId})`
+    );
+  }
+
+  if (text) {
+    try {
+      const mapped = await loadModuleQuestionId(provider, text);
+      const questionId = proposal.questionId.toLowerCase();
+      if (mapped === questionId) {
+        add("Module question ID", "ok", "questionIds(questionHash) maps back to this question");
+      } else if (mapped === QUESTION_ID_INVALIDATED) {
+        add("Module question ID", "warn", "The proposal was marked invalid on the module");
+      } else if (mapped === ethers.ZeroHash) {
+        add("Module question ID", "fail", "The module has no question for this proposal text");
+      } else {
+        add("Module question ID", "warn", `The proposal was re-asked; the module now uses question ${mapped}`);
+      }
+    } catch (err) {
+      add("Module question ID", "warn", `questionIds() call failed: ${err.shortMessage || err.message}`);
+    }
+  }
+
+  if (asked && questionState) {
+    const arbitratorOk = questionState.arbitrator.toLowerCase() === moduleConfig.questionArbitrator.toLowerCase();
+    add(
+      "Arbitrator",
+      arbitratorOk ? "ok" : "fail",
+      arbitratorOk
+        ? questionState.arbitrator
+        : `Question uses ${questionState.arbitrator}, module is configured with ${moduleConfig.questionArbitrator}`
+    );
+
+    const timeoutOk = questionState.timeout === moduleConfig.questionTimeout;
+    add(
+      "Timeout",
+      timeoutOk ? "ok" : "fail",
+      timeoutOk
+        ? `${questionState.timeout}s`
+        : `Question timeout is ${questionState.timeout}s, module is configured with ${moduleConfig.questionTimeout}s`
+    );
+  }
+
+  let status = "ok";
+  if (checks.some((c) => c.result === "warn")) status = "warn";
+  if (checks.some((c) => c.result === "fail")) status = "fail";
+
+  return { status, checks, checkedAt: Math.floor(Date.now() / 1000) };
+}
@@ -0,0 +1,74 @@
+/**
+ * invalidate.js — Retire proposals that can never execute
+ *
+ * A NO (or INVALID) final answer can only be cleared by the module owner via
+ * markProposalAsInvalid; an expired YES answer can be invalidated by anyone
+ * via markProposalWithExpiredAnswerAsInvalid. Both set
+ * questionIds[questionHash] to the INVALIDATED marker.
+ */
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@6.13.4/+esm";
+import { getActiveProfile } from "./config.js";
+import { getModuleContract } from "./contracts.js";
+import { simulateContractCall } from "./simulate.js";
+
+/**
+ * Build the module call for an invalidation kind ("owner" | "expired").
+ */
+function invalidationCall(proposal, kind) {
+  if (kind === "expired") {
+    const questionHash = ethers.keccak256(ethers.toUtf8Bytes(proposal.questionText));
+    return {
+      method: "markProposalWithExpiredAnswerAsInvalid",
+      args: [questionHash],
+      params: { questionHash },
+    };
+  }
+
+  return {
+    method: "markProposalAsInvalid",
+    args: [proposal.proposalId, proposal.txHashes],
+    params: { proposalId: proposal.proposalId, txHashes: proposal.txHashes },
+  };
+}
+
+/**
+ * Read the module owner (the only caller allowed to use markProposalAsInvalid).
+ */
+export async function getModuleOwner(provider) {
+  return getModuleContract(provider).owner();
+}
+
+/**
+ * Build a preview of the invalidation call, including raw calldata so it can
+ * be proposed through the owning Safe.
+ */
+export function buildInvalidationPreview(proposal, kind) {
+  const { method, args, params } = invalidationCall(proposal, kind);
+  const mod = getModuleContract(null);
+  return {
+    contract: "Reality Module",
+    to: getActiveProfile().moduleAddress,
+    method: mod.interface.getFunction(method).format(),
+    params,
+    data: mod.interface.encodeFunctionData(method, args),
+    value: "0",
+  };
+}
+
+/**
+ * Simulate the invalidation call from the signer's address.
+ */
+export async function simulateInvalidation(signer, proposal, kind) {
+  const { method, args } = invalidationCall(proposal, kind);
+  return simulateContractCall(getModuleContract(signer), method, args);
+}
+
+/**
+ * Send the invalidation call.
+ *
+ * @returns {ethers.TransactionResponse}
+ */
+export async function invalidateProposal(signer, proposal, kind) {
+  const { method, args } = invalidationCall(proposal, kind);
+  return getModuleContract(signer)[method](...args);
+}
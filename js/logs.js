@@ -0,0 +1,166 @@
+/**
+ * logs.js — eth_getLogs over long block ranges
+ *
+ * RPC providers cap getLogs by block span or by result count, anywhere from a
+ * few hundred to 100k+ blocks. Requests start at LOG_CHUNK_SIZE blocks, the
+ * range is halved (or set to the limit the error states) when the RPC rejects
+ * it and doubled after a run of full-size successes. A block-span limit the
+ * provider states sets a ceiling the range never grows past; halving is only a
+ * guess, so it sets none. The learned range is stored per RPC URL in the
+ * settings store.
+ */
+import {
+  LOG_CHUNK_SIZE,
+  MIN_LOG_CHUNK_SIZE,
+  MAX_LOG_CHUNK_SIZE,
+  LOG_CHUNK_GROW_AFTER,
+} from "./config.js";
+import { getSetting, setSetting } from "./db.js";
+
+// Provider messages for a block span over the limit, e.g. "block range is too wide",
+// "exceed maximum block range: 50000", "Max range of 800 blocks", "limited to a 10,000 range",
+// "ranges over 10000 blocks are not supported"
+const SPAN_LIMIT_RE = /block range|range (is )?too (large|wide|big)|max(imum)? (block )?range|max range|limited to a [\d,]+ range|ranges? over [\d,]+ blocks/i;
+// ... and for too many results, e.g. "query returned more than 10000 results", "Log response size exceeded".
+// Rate limits ("rate limit exceeded") must not match: a smaller range does not help there.
+const RESULT_LIMIT_RE = /more than [\d,]+ (results|logs)|too many (results|logs)|response size|query timeout/i;
+// Alchemy suggests a range that works: "[0x1234, 0x5678]"
+const SUGGESTED_RANGE_RE = /\[(0x[0-9a-f]+),\s*(0x[0-9a-f]+)\]/i;
+// A number next to block / range wording: "block range: 50000", "range of 800", "10,000 range", "800 blocks"
+const STATED_SPAN_RE = /(?:range|blocks?)\D{0,6}?(?<![\w.])(\d[\d,]*)(?![\w.])|(?<![\w.])(\d[\d,]*)\s*(?:range|blocks?)\b/gi;
+
+let _rpcUrl = null;
+let _range = LOG_CHUNK_SIZE;
+let _ceiling = MAX_LOG_CHUNK_SIZE;
+let _successes = 0;
+
+/**
+ * The provider's own error message, without ethers' request payload or codes.
+ */
+function providerText(err) {
+  return [err?.error?.message, err?.info?.error?.message].filter(Boolean).join(" ");
+}
+
+function errorText(err) {
+  return [err?.error?.message, err?.info?.error?.message, err?.shortMessage, err?.message]
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * "span" for block-range limits, "results" for result-count limits, null otherwise.
+ */
+function limitKind(err) {
+  const text = errorText(err);
+  // Result-size messages may mention a block range too ("this block range should work")
+  if (RESULT_LIMIT_RE.test(text)) return "results";
+  if (SPAN_LIMIT_RE.test(text)) return "span";
+  return null;
+}
+
+/**
+ * True if the RPC rejected a getLogs request for its range or result size;
+ * retrying the same request cannot succeed.
+ */
+export function isLogRangeError(err) {
+  return limitKind(err) !== null;
+}
+
+/**
+ * Load the range learned for `rpcUrl` (defaults for an unknown URL).
+ * Call after the database namespace is open.
+ */
+export async function loadLogRange(rpcUrl) {
+  _rpcUrl = rpcUrl || null;
+  const learned = _rpcUrl ? ((await getSetting("logRanges")) || {})[_rpcUrl] : null;
+  _range = learned?.range ?? LOG_CHUNK_SIZE;
+  _ceiling = learned?.ceiling ?? MAX_LOG_CHUNK_SIZE;
+  _successes = 0;
+}
+
+async function saveLogRange() {
+  if (!_rpcUrl) return;
+  const ranges = (await getSetting("logRanges")) || {};
+  ranges[_rpcUrl] = { range: _range, ceiling: _ceiling };
+  await setSetting("logRanges", ranges);
+}
+
+/**
+ * The range the provider's message says would work (0 if it states none):
+ * Alchemy's suggested range, or for span limits a number next to block /
+ * range wording that is below `span`.
+ */
+function statedRange(err, kind, span) {
+  const text = providerText(err);
+  const match = text.match(SUGGESTED_RANGE_RE);
+  if (match) return Number(BigInt(match[2]) - BigInt(match[1])) + 1;
+  if (kind !== "span") return 0;
+
+  const numbers = [...text.matchAll(STATED_SPAN_RE)].map((m) => Number((m[1] || m[2]).replace(/,/g, "")));
+  return Math.max(0, ...numbers.filter((n) => n >= MIN_LOG_CHUNK_SIZE && n < span));
+}
+
+async function shrinkLogRange(err, kind, span) {
+  const stated = statedRange(err, kind, span);
+  _range = Math.max(MIN_LOG_CHUNK_SIZE, stated > 0 && stated < span ? stated : Math.floor(span / 2));
+  if (kind === "span" && stated > 0) _ceiling = Math.min(_ceiling, _range);
+  _successes = 0;
+  console.warn(`getLogs rejected ${span} blocks (${kind} limit); using ${_range}-block ranges`);
+  await saveLogRange();
+}
+
+async function growLogRange() {
+  _successes += 1;
+  if (_successes < LOG_CHUNK_GROW_AFTER || _range >= _ceiling) return;
+
+  _range = Math.min(_range * 2, _ceiling);
+  _successes = 0;
+  await saveLogRange();
+}
+
+/**
+ * Fetch logs for [fromBlock, toBlock] in ranges sized for the current RPC.
+ *
+ * @param {(fromBlock: number, toBlock: number) => Promise<Array>} fetchRange - one getLogs request
+ * @param {number} fromBlock
+ * @param {number} toBlock
+ * @param {(pct: number, count: number) => void} [onProgress]
+ * @param {AbortSignal} [signal] - checked before each request; throws an AbortError once aborted
+ */
+export async function getLogsAdaptive(fetchRange, fromBlock, toBlock, onProgress, signal) {
+  if (toBlock < fromBlock) return [];
+
+  const allLogs = [];
+  let current = fromBlock;
+  const totalSpan = Math.max(1, toBlock - fromBlock + 1);
+
+  while (current <= toBlock) {
+    signal?.throwIfAborted();
+    const size = _range;
+    const end = Math.min(current + size - 1, toBlock);
+    const span = end - current + 1;
+
+    let logs;
+    try {
+      logs = await fetchRange(current, end);
+    } catch (err) {
+      const kind = limitKind(err);
+      if (!kind || span <= MIN_LOG_CHUNK_SIZE) throw err;
+      await shrinkLogRange(err, kind, span);
+      continue;
+    }
+
+    allLogs.push(...logs);
+    current = end + 1;
+    // Only full-size ranges prove the current size works
+    if (span === size) await growLogRange();
+
+    if (onProgress) {
+      const scanned = end - fromBlock + 1;
+      const pct = Math.min(100, Math.round((scanned / totalSpan) * 100));
+      onProgress(pct, allLogs.length);
+    }
+  }
+
+  return allLogs;
+}
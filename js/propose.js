@@ -0,0 +1,153 @@
+/**
+ * propose.js — Ask a new proposal question through the Reality Module
+ *
+ * addProposal asks Reality.eth the question built from (proposalId, txHashes)
+ * and stores its ID in questionIds. Once its question finalized as INVALID,
+ * the same pair can be asked again with addProposalWithNonce and a nonce that
+ * gives a question ID not yet used. A proposal the module marked as invalid
+ * (markProposalAsInvalid or an expired answer) can never be asked again.
+ */
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@6.13.4/+esm";
+import { ANSWER_INVALID, QUESTION_ID_INVALIDATED, getActiveProfile } from "./config.js";
+import { getModuleContract, getRealitioContract, moduleIface, topicHash } from "./contracts.js";
+import { loadModuleQuestionId } from "./reality.js";
+import { simulateContractCall } from "./simulate.js";
+
+// Upper bound on nonces probed when looking for an unused question ID
+const MAX_NONCE_PROBES = 32;
+
+/**
+ * Find the lowest nonce >= 1 whose question ID does not exist on the oracle yet.
+ */
+async function findFreeNonce(provider, questionText) {
+  const mod = getModuleContract(provider);
+  const realitio = getRealitioContract(provider);
+
+  for (let nonce = 1; nonce <= MAX_NONCE_PROBES; nonce++) {
+    const questionId = await mod.getQuestionId(questionText, nonce);
+    const q = await realitio.questions(questionId);
+    if (Number(q.timeout || q[3]) === 0) return nonce;
+  }
+  throw new Error(`No unused question nonce found in 1..${MAX_NONCE_PROBES}`);
+}
+
+/**
+ * Decide how (and whether) a proposalId / bundle pair can be asked.
+ *
+ * mode is "new" (never asked), "reask" (previous question finalized as
+ * INVALID, a fresh nonce is used), "exists" (a live question already covers
+ * the pair) or "invalidated" (marked invalid by the module, never askable
+ * again). `askable` is true for "new" and "reask".
+ *
+ * @param {ethers.Provider} provider
+ * @param {string} proposalId
+ * @param {object} bundle - from importTxBundle()
+ * @returns {{ proposalId, txHashes, questionText, questionHash, existingQuestionId, mode, askable, nonce, expectedQuestionId, reason }}
+ */
+export async function prepareProposal(provider, proposalId, bundle) {
+  const mod = getModuleContract(provider);
+  const txHashes = bundle.txHashes;
+  const questionText = await mod.buildQuestion(proposalId, txHashes);
+  const questionHash = ethers.keccak256(ethers.toUtf8Bytes(questionText));
+  const existingQuestionId = await loadModuleQuestionId(provider, questionText);
+
+  let mode = "new";
+  let reason = "This proposal has not been asked yet";
+  if (existingQuestionId === QUESTION_ID_INVALIDATED) {
+    // addProposalWithNonce reverts with "This proposal has been marked as invalid"
+    mode = "invalidated";
+    reason = "The module marked this proposal as invalid; it cannot be asked again. Use a new proposal ID";
+  } else if (existingQuestionId !== ethers.ZeroHash) {
+    const realitio = getRealitioContract(provider);
+    const finalized = await realitio.isFinalized(existingQuestionId);
+    const answer = finalized ? (await realitio.getFinalAnswer(existingQuestionId)).toLowerCase() : null;
+    if (answer === ANSWER_INVALID) {
+      mode = "reask";
+      reason = "The previous question finalized as INVALID; it will be asked again with a new nonce";
+    } else {
+      mode = "exists";
+      reason = `Already asked as question ${existingQuestionId}`;
+    }
+  }
+
+  const askable = mode === "new" || mode === "reask";
+  const nonce = mode === "reask" ? await findFreeNonce(provider, questionText) : 0;
+  let expectedQuestionId = null;
+  if (mode === "exists") expectedQuestionId = existingQuestionId;
+  else if (askable) expectedQuestionId = (await mod.getQuestionId(questionText, nonce)).toLowerCase();
+
+  return {
+    proposalId,
+    txHashes,
+    questionText,
+    questionHash,
+    existingQuestionId,
+    mode,
+    askable,
+    nonce,
+    expectedQuestionId,
+    reason,
+  };
+}
+
+/**
+ * Build the module call for a prepared proposal.
+ */
+function proposalCall(prep) {
+  if (prep.nonce > 0) {
+    return {
+      method: "addProposalWithNonce",
+      args: [prep.proposalId, prep.txHashes, prep.nonce],
+      params: { proposalId: prep.proposalId, txHashes: prep.txHashes, nonce: prep.nonce },
+    };
+  }
+  return {
+    method: "addProposal",
+    args: [prep.proposalId, prep.txHashes],
+    params: { proposalId: prep.proposalId, txHashes: prep.txHashes },
+  };
+}
+
+/**
+ * Build a human-readable preview of the addProposal call.
+ */
+export function buildProposalPreview(prep) {
+  const { method, args, params } = proposalCall(prep);
+  const mod = getModuleContract(null);
+  return {
+    contract: "Reality Module",
+    to: getActiveProfile().moduleAddress,
+    method: mod.interface.getFunction(method).format(),
+    params,
+    data: mod.interface.encodeFunctionData(method, args),
+    value: "0",
+  };
+}
+
+/**
+ * Simulate the addProposal call from the signer's address.
+ */
+export async function simulateProposal(signer, prep) {
+  const { method, args } = proposalCall(prep);
+  return simulateContractCall(getModuleContract(signer), method, args);
+}
+
+/**
+ * Send the addProposal call.
+ *
+ * @returns {ethers.TransactionResponse}
+ */
+export async function submitProposal(signer, prep) {
+  const { method, args } = proposalCall(prep);
+  return getModuleContract(signer)[method](...args);
+}
+
+/**
+ * Read the question ID from the ProposalQuestionCreated log of a receipt (null if absent).
+ */
+export function findCreatedQuestionId(receipt) {
+  const moduleAddress = getActiveProfile().moduleAddress.toLowerCase();
+  const topic = topicHash(moduleIface, "ProposalQuestionCreated");
+  const log = receipt.logs.find((l) => l.address.toLowerCase() === moduleAddress && l.topics[0] === topic);
+  return log ? log.topics[1].toLowerCase() : null;
+}
@@ -5,8 +5,15 @@
  * computes proposal status (FR-5, FR-6), and parses question text.
  */
 import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@6.13.4/+esm";
-import { getRealitioContract, getModuleContract } from "./contracts.js";
-import { ANSWER_YES, ANSWER_NO, ANSWER_INVALID } from "./config.js";
+import {
+  REALITIO_ABI,
+  REALITIO_ERC20_ABI,
+  getRealitioContract,
+  getModuleContract,
+  getTokenContract,
+  getOracle,
+} from "./contracts.js";
+import { ANSWER_YES, ANSWER_NO, ANSWER_INVALID, ANSWER_TOO_SOON, QUESTION_ID_INVALIDATED } from "./config.js";
 import { dbPut } from "./db.js";
 
 /**
@@ -37,7 +44,8 @@ export async function loadQuestionState(provider, questionId) {
     bestAnswer: q.best_answer || q[7],
     historyHash: q.history_hash || q[8],
     bond: (q.bond || q[9])?.toString() || "0",
-    minBond: (q.min_bond || q[10])?.toString() || "0",
+    // v2.x oracles have no per-question minimum bond
+    minBond: (q.length > 10 ? (q.min_bond || q[10])?.toString() : null) || "0",
     isFinalized: finalized,
     finalAnswer: finalAnswer,
   };
@@ -56,13 +64,16 @@ export async function loadModuleConfig(provider) {
 
   // Note: ethers v6 Contract has a built-in `.target` property (the address),
   // which shadows the ABI's `target()` function. Use getFunction() to call it.
-  const [avatar, target, oracle, cooldown, expiration, minBond] = await Promise.all([
+  const [avatar, target, oracle, cooldown, expiration, minBond, template, timeout, arbitrator] = await Promise.all([
     mod.avatar(),
     mod.getFunction("target")(),
     mod.oracle(),
     mod.questionCooldown(),
     mod.answerExpiration(),
     mod.minimumBond(),
+    mod.template(),
+    mod.questionTimeout(),
+    mod.questionArbitrator(),
   ]);
 
   return {
@@ -72,13 +83,123 @@ export async function loadModuleConfig(provider) {
     questionCooldown: Number(cooldown),
     answerExpiration: Number(expiration),
     minimumBond: minBond.toString(),
+    template: template.toString(),
+    questionTimeout: Number(timeout),
+    questionArbitrator: arbitrator,
+  };
+}
+
+/**
+ * Read questionIds[keccak256(questionText)] from the module (lowercased).
+ * Returns QUESTION_ID_INVALIDATED for invalidated proposals and ZeroHash if never asked.
+ */
+export async function loadModuleQuestionId(provider, questionText) {
+  const questionHash = ethers.keccak256(ethers.toUtf8Bytes(questionText));
+  const questionId = await getModuleContract(provider).questionIds(questionHash);
+  return questionId.toLowerCase();
+}
+
+/**
+ * True when the module has marked this proposal invalid (see proposal.moduleQuestionId).
+ */
+export function isProposalInvalidated(proposal) {
+  return proposal?.moduleQuestionId === QUESTION_ID_INVALIDATED;
+}
+
+/**
+ * True when the module now maps this proposal's question text to a later
+ * question, i.e. the proposal was re-asked with a new nonce.
+ */
+export function isProposalSuperseded(proposal) {
+  const mapped = proposal?.moduleQuestionId;
+  return Boolean(mapped) &&
+    mapped !== QUESTION_ID_INVALIDATED &&
+    mapped !== ethers.ZeroHash &&
+    mapped !== proposal.questionId.toLowerCase();
+}
+
+/**
+ * Group proposal records by proposalId so re-asked and invalidated attempts
+ * show up together. Attempts are newest first; `effective` is the latest
+ * attempt that is neither invalidated nor superseded (or the latest attempt
+ * when none is live). Records without a decoded proposalId stay on their own.
+ *
+ * @returns {Array<{ key, proposalId, attempts, effective }>}
+ */
+export function groupProposalAttempts(proposals) {
+  const groups = new Map();
+  for (const p of proposals) {
+    const key = p.proposalId ? p.proposalId.trim().toLowerCase() : p.questionId;
+    if (!groups.has(key)) groups.set(key, { key, proposalId: p.proposalId, attempts: [] });
+    groups.get(key).attempts.push(p);
+  }
+
+  return [...groups.values()].map((group) => {
+    group.attempts.sort((a, b) => (b.createdBlock || 0) - (a.createdBlock || 0));
+    group.effective = group.attempts.find((p) => !isProposalInvalidated(p) && !isProposalSuperseded(p)) ||
+      group.attempts[0];
+    return group;
+  });
+}
+
+/**
+ * True when every transaction of the proposal has executed (see proposal.executedTxs).
+ */
+export function isProposalFullyExecuted(proposal) {
+  return Boolean(proposal?.executedTxs?.length) && proposal.executedTxs.every(Boolean);
+}
+
+/**
+ * Detect which Reality.eth flavour is deployed at an oracle address.
+ * ERC20-bonded oracles expose token(); v3.0 oracles expose getMinBond().
+ */
+export async function detectOracle(provider, oracleAddress) {
+  const address = ethers.getAddress(oracleAddress);
+  const probe = new ethers.Contract(address, [...REALITIO_ABI, ...REALITIO_ERC20_ABI], provider);
+
+  let version = "v2";
+  try {
+    await probe.getMinBond(ethers.ZeroHash);
+    version = "v3";
+  } catch { /* v2.x has no getMinBond */ }
+
+  let token = null;
+  try {
+    const tokenAddress = await probe.token();
+    const erc20 = getTokenContract(tokenAddress, provider);
+    const [symbol, decimals] = await Promise.all([
+      erc20.symbol().catch(() => "TOKEN"),
+      erc20.decimals().catch(() => 18n),
+    ]);
+    token = { address: tokenAddress, symbol, decimals: Number(decimals) };
+  } catch { /* ETH-bonded oracle */ }
+
+  const versionLabel = version === "v3" ? "v3.0" : "v2.x";
+  return {
+    address,
+    version,
+    erc20: token !== null,
+    token,
+    label: token ? `RealityETH_ERC20 ${versionLabel} (${token.symbol})` : `Reality.eth ${versionLabel}`,
   };
 }
 
 /**
  * Compute the display status for a proposal (FR-6).
+ * Pass the proposal record so invalidated and fully executed proposals are recognised.
  */
-export function computeProposalStatus(questionState, moduleConfig) {
+export function computeProposalStatus(questionState, moduleConfig, proposal = null) {
+  if (isProposalInvalidated(proposal)) {
+    return { label: "invalidated", executable: false, reason: "Marked invalid on the module; it can never be asked again" };
+  }
+  if (isProposalSuperseded(proposal)) {
+    return { label: "superseded", executable: false, reason: `Re-asked as question ${proposal.moduleQuestionId}` };
+  }
+  if (isProposalFullyExecuted(proposal)) {
+    const count = proposal.executedTxs.length;
+    return { label: "executed", executable: false, reason: `All ${count} transaction(s) executed` };
+  }
+
   if (!questionState) {
     return { label: "unknown", executable: false, reason: "No question state" };
   }
@@ -95,9 +216,8 @@ export function computeProposalStatus(questionState, moduleConfig) {
 
   const { questionCooldown, answerExpiration, minimumBond } = moduleConfig;
 
-  // Is the question answered at all?
-  const zeroHash = ethers.ZeroHash;
-  const hasAnswer = bond !== "0" && bestAnswer !== zeroHash;
+  // Is the question answered at all? (A NO answer is the zero hash, so only the bond tells.)
+  const hasAnswer = bond !== "0";
 
   // Pending arbitration?
   if (isPendingArbitration) {
@@ -125,12 +245,16 @@ export function computeProposalStatus(questionState, moduleConfig) {
   }
 
   // Finalized — check if executable
-  const answer = finalAnswer || bestAnswer;
-  const isYes = answer === ANSWER_YES ||
-    answer === "0x0000000000000000000000000000000000000000000000000000000000000001";
+  const answer = normalizeAnswer(finalAnswer || bestAnswer);
 
-  if (!isYes) {
-    return { label: "finalized", executable: false, reason: "Final answer is NO" };
+  // `invalidation` names the module call that can retire the proposal:
+  // "owner" → markProposalAsInvalid (module owner only), "expired" → markProposalWithExpiredAnswerAsInvalid
+  if (answer !== ANSWER_YES) {
+    let reason = `Final answer is ${formatAnswer(answer)}, not YES`;
+    if (answer === ANSWER_NO) reason = "Final answer is NO";
+    else if (answer === ANSWER_INVALID) reason = "Final answer is INVALID";
+    else if (answer === ANSWER_TOO_SOON) reason = "Settled as answered too soon";
+    return { label: "finalized", executable: false, reason, invalidation: "owner" };
   }
 
   // Check minimum bond
@@ -140,7 +264,7 @@ export function computeProposalStatus(questionState, moduleConfig) {
     return {
       label: "finalized",
       executable: false,
-      reason: `Bond ${ethers.formatEther(bond)} < min ${ethers.formatEther(minimumBond)}`,
+      reason: `Bond ${formatBond(bond)} < min ${formatBond(minimumBond)}`,
     };
   }
 
@@ -164,6 +288,7 @@ export function computeProposalStatus(questionState, moduleConfig) {
         label: "finalized",
         executable: false,
         reason: "Answer has expired",
+        invalidation: "expired",
       };
     }
   }
@@ -201,17 +326,56 @@ export function parseQuestionText(text) {
  * Format a boolean answer (bytes32) for display.
  */
 export function formatAnswer(answer) {
-  if (!answer || answer === ethers.ZeroHash) return "NO (0x0)";
-  if (answer === ANSWER_YES || answer === "0x0000000000000000000000000000000000000000000000000000000000000001") {
-    return "YES ✓";
-  }
-  if (answer === ANSWER_NO || answer === ethers.ZeroHash) {
-    return "NO ✗";
-  }
-  if (answer === ANSWER_INVALID) {
-    return "INVALID ⚠";
-  }
-  return `Unknown (${answer.slice(0, 10)}...)`;
+  const value = normalizeAnswer(answer);
+  if (!value || value === ANSWER_NO) return "NO (0x0)";
+  if (value === ANSWER_YES) return "YES ✓";
+  if (value === ANSWER_INVALID) return "INVALID ⚠";
+  if (value === ANSWER_TOO_SOON) return "ANSWERED TOO SOON ⏱";
+
+  // Non-boolean answers: small values are shown as numbers, the rest as hex
+  const n = BigInt(value);
+  return n < 2n ** 64n ? `Value ${n}` : `Other (${value.slice(0, 10)}…)`;
+}
+
+/**
+ * Lowercase a bytes32 answer so it compares against the ANSWER_* constants (null stays null).
+ */
+export function normalizeAnswer(answer) {
+  return answer ? answer.toLowerCase() : null;
+}
+
+/**
+ * Symbol of the oracle's bond currency ("ETH" or the bond token's symbol).
+ */
+export function getBondSymbol() {
+  const { token } = getOracle();
+  return token ? token.symbol : "ETH";
+}
+
+function getBondDecimals() {
+  const { token } = getOracle();
+  return token ? token.decimals : 18;
+}
+
+/**
+ * Format a bond amount (base units) as a decimal string, without symbol.
+ */
+export function formatBondAmount(amount) {
+  return ethers.formatUnits(amount || 0, getBondDecimals());
+}
+
+/**
+ * Format a bond amount (base units) with the bond currency symbol.
+ */
+export function formatBond(amount) {
+  return `${formatBondAmount(amount)} ${getBondSymbol()}`;
+}
+
+/**
+ * Parse a user-entered decimal bond amount into base units.
+ */
+export function parseBondAmount(text) {
+  return ethers.parseUnits((text || "0").trim() || "0", getBondDecimals());
 }
 
 /**
@@ -234,16 +398,73 @@ export function formatDuration(seconds) {
 
 /**
  * Compute the suggested bond for a new answer.
- * Reality requires >= 2x previous bond, and module requires >= minimumBond.
+ * Reality requires >= 2x previous bond (and >= the question's min_bond on
+ * v3.0), and the module requires >= minimumBond.
  */
-export function computeSuggestedBond(currentBondWei, minimumBondWei) {
+export function computeSuggestedBond(currentBondWei, minimumBondWei, questionMinBondWei = "0") {
   const current = BigInt(currentBondWei || "0");
-  const minBond = BigInt(minimumBondWei || "0");
+  const moduleMin = BigInt(minimumBondWei || "0");
+  const questionMin = BigInt(questionMinBondWei || "0");
+  const minBond = moduleMin > questionMin ? moduleMin : questionMin;
   const doubleBond = current * 2n;
   const suggested = doubleBond > minBond ? doubleBond : minBond;
   // If no bond yet, use minimum bond (or a small default)
   if (suggested === 0n) {
-    return minBond > 0n ? minBond : ethers.parseEther("0.01");
+    return minBond > 0n ? minBond : parseBondAmount("0.01");
   }
   return suggested;
 }
+
+/**
+ * Project the bond ladder for `rounds` exchanges: we answer with the
+ * suggested bond, the other side doubles it, we double again, and so on.
+ *
+ * Each step assumes our answer wins right after our post. The payout is an
+ * estimate: every bond in the history plus the bounty, ignoring takeover fees
+ * owed to earlier answerers who gave the same answer as us.
+ * With an ETH arbitration fee, `arbitrationRound` is the first round whose
+ * bond costs at least as much as requesting arbitration (null if none).
+ *
+ * @param {object} params
+ * @param {string} params.currentBond - current bond (wei / token units)
+ * @param {string} params.minimumBond - module minimumBond
+ * @param {string} params.questionMinBond - the question's min_bond ("0" on v2.x)
+ * @param {string} params.historyTotal - sum of all bonds already posted
+ * @param {string} params.bounty - question bounty
+ * @param {number} params.rounds - number of our answers to project
+ * @param {string|null} params.arbitrationFee - fee in the bond currency, or null to skip the comparison
+ * @returns {{ steps: Array<{ round, ourBond, atRisk, counterBond, payout, net, arbitrationCheaper }>, arbitrationRound }}
+ */
+export function planBondEscalation({ currentBond, minimumBond, questionMinBond, historyTotal, bounty, rounds, arbitrationFee }) {
+  const fee = arbitrationFee === null ? null : BigInt(arbitrationFee || "0");
+  const pot = BigInt(historyTotal || "0") + BigInt(bounty || "0");
+
+  const steps = [];
+  let ourBond = computeSuggestedBond(currentBond, minimumBond, questionMinBond);
+  let ourTotal = 0n;
+  let theirTotal = 0n;
+  let arbitrationRound = null;
+
+  for (let round = 1; round <= rounds; round++) {
+    ourTotal += ourBond;
+    const payout = ourTotal + theirTotal + pot;
+    const arbitrationCheaper = fee !== null && fee > 0n && ourBond >= fee;
+    if (arbitrationCheaper && arbitrationRound === null) arbitrationRound = round;
+
+    const counterBond = ourBond * 2n;
+    steps.push({
+      round,
+      ourBond,
+      atRisk: ourTotal,
+      counterBond,
+      payout,
+      net: payout - ourTotal,
+      arbitrationCheaper,
+    });
+
+    theirTotal += counterBond;
+    ourBond = counterBond * 2n;
+  }
+
+  return { steps, arbitrationRound };
+}
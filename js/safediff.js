@@ -0,0 +1,402 @@
+/**
+ * safediff.js — Simulate proposal execution and diff the avatar Safe's state
+ *
+ * Each bundle transaction is run as execTransactionFromModule on the module's
+ * target, called from the module address against the current head. When the
+ * RPC supports debug_traceCall the call tree is traced and its Safe events,
+ * ETH transfers and ERC20 Transfer logs are applied to a snapshot of the
+ * avatar; otherwise the decoded calldata is analysed statically.
+ */
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@6.13.4/+esm";
+import {
+  getSafeContract,
+  getTokenContract,
+  getModuleContract,
+  safeIface,
+  erc20Iface,
+  SAFE_GUARD_STORAGE_SLOT,
+} from "./contracts.js";
+import { getActiveProfile } from "./config.js";
+import { decodeTransaction } from "./decoder.js";
+import { extractRevertReason, explainRevert } from "./simulate.js";
+
+const SENTINEL = "0x0000000000000000000000000000000000000001";
+const MODULE_PAGE_SIZE = 50;
+const TRACE_GAS = "0x1c9c380"; // 30M
+
+const TRANSFER_TOPIC = erc20Iface.getEvent("Transfer").topicHash;
+const SAFE_EVENT_TOPICS = Object.fromEntries(
+  ["AddedOwner", "RemovedOwner", "ChangedThreshold", "EnabledModule", "DisabledModule", "ChangedGuard"]
+    .map((name) => [safeIface.getEvent(name).topicHash, name])
+);
+
+// ---- Snapshot ----
+
+/**
+ * Read the Safe fields the diff covers. Token balances are read for every
+ * address in `tokens`; tokens that fail to answer are reported with an error.
+ */
+export async function readSafeState(provider, safeAddress, tokens = []) {
+  const safe = getSafeContract(safeAddress, provider);
+
+  const [owners, threshold, modules, guardWord, balance] = await Promise.all([
+    safe.getOwners(),
+    safe.getThreshold(),
+    readModules(safe),
+    provider.getStorage(safeAddress, SAFE_GUARD_STORAGE_SLOT),
+    provider.getBalance(safeAddress),
+  ]);
+
+  const tokenStates = {};
+  await Promise.all(tokens.map(async (address) => {
+    const token = getTokenContract(address, provider);
+    try {
+      const [symbol, decimals, tokenBalance] = await Promise.all([
+        token.symbol().catch(() => "?"),
+        token.decimals().catch(() => 18n),
+        token.balanceOf(safeAddress),
+      ]);
+      tokenStates[address.toLowerCase()] = { address, symbol, decimals: Number(decimals), balance: tokenBalance };
+    } catch (err) {
+      tokenStates[address.toLowerCase()] = { address, symbol: "?", decimals: 18, balance: null, error: err.shortMessage || err.message };
+    }
+  }));
+
+  return {
+    address: safeAddress,
+    owners: owners.map((o) => ethers.getAddress(o)),
+    threshold: Number(threshold),
+    modules,
+    guard: ethers.getAddress(ethers.dataSlice(guardWord, 12)),
+    balance,
+    tokens: tokenStates,
+  };
+}
+
+async function readModules(safe) {
+  const modules = [];
+  let start = SENTINEL;
+  for (;;) {
+    // eslint-disable-next-line no-await-in-loop
+    const [page, next] = await safe.getModulesPaginated(start, MODULE_PAGE_SIZE);
+    modules.push(...page.map((m) => ethers.getAddress(m)));
+    if (next === SENTINEL || next === ethers.ZeroAddress || page.length < MODULE_PAGE_SIZE) break;
+    start = next;
+  }
+  return modules;
+}
+
+// ---- Effects ----
+
+function emptyEffects() {
+  return {
+    eth: 0n,
+    tokens: {},
+    ownersAdded: [],
+    ownersRemoved: [],
+    threshold: null,
+    modulesEnabled: [],
+    modulesDisabled: [],
+    guard: null,
+  };
+}
+
+function addTokenDelta(effects, token, delta) {
+  const key = token.toLowerCase();
+  effects.tokens[key] = (effects.tokens[key] || 0n) + delta;
+}
+
+function mergeEffects(into, from) {
+  into.eth += from.eth;
+  for (const [token, delta] of Object.entries(from.tokens)) addTokenDelta(into, token, delta);
+  into.ownersAdded.push(...from.ownersAdded);
+  into.ownersRemoved.push(...from.ownersRemoved);
+  into.modulesEnabled.push(...from.modulesEnabled);
+  into.modulesDisabled.push(...from.modulesDisabled);
+  if (from.threshold !== null) into.threshold = from.threshold;
+  if (from.guard !== null) into.guard = from.guard;
+}
+
+// Address argument of a Safe event, whether or not the parameter is indexed
+function eventAddress(log) {
+  const word = log.topics.length > 1 ? log.topics[1] : ethers.dataSlice(log.data, 0, 32);
+  return ethers.getAddress(ethers.dataSlice(word, 12));
+}
+
+function applySafeEvent(effects, name, log) {
+  switch (name) {
+    case "AddedOwner": effects.ownersAdded.push(eventAddress(log)); break;
+    case "RemovedOwner": effects.ownersRemoved.push(eventAddress(log)); break;
+    case "ChangedThreshold": effects.threshold = Number(BigInt(ethers.dataSlice(log.data, 0, 32))); break;
+    case "EnabledModule": effects.modulesEnabled.push(eventAddress(log)); break;
+    case "DisabledModule": effects.modulesDisabled.push(eventAddress(log)); break;
+    case "ChangedGuard": effects.guard = eventAddress(log); break;
+    default: break;
+  }
+}
+
+/**
+ * Walk a callTracer frame and collect the avatar's state changes.
+ * Reverted frames are skipped (their effects were rolled back).
+ */
+function collectTraceEffects(frame, avatar, effects) {
+  if (frame.error) return;
+
+  const value = BigInt(frame.value || "0x0");
+  if (value > 0n && frame.type !== "DELEGATECALL" && frame.type !== "STATICCALL") {
+    if (frame.from?.toLowerCase() === avatar) effects.eth -= value;
+    if (frame.to?.toLowerCase() === avatar) effects.eth += value;
+  }
+
+  for (const log of frame.logs || []) {
+    const topic0 = log.topics?.[0];
+    if (log.address.toLowerCase() === avatar && SAFE_EVENT_TOPICS[topic0]) {
+      applySafeEvent(effects, SAFE_EVENT_TOPICS[topic0], log);
+    } else if (topic0 === TRANSFER_TOPIC && log.topics.length === 3) {
+      // Three topics: ERC20 (ERC721 indexes the token id as a fourth)
+      const from = ethers.dataSlice(log.topics[1], 12).toLowerCase();
+      const to = ethers.dataSlice(log.topics[2], 12).toLowerCase();
+      const amount = BigInt(log.data);
+      if (from === avatar) addTokenDelta(effects, log.address, -amount);
+      if (to === avatar) addTokenDelta(effects, log.address, amount);
+    }
+  }
+
+  for (const child of frame.calls || []) collectTraceEffects(child, avatar, effects);
+}
+
+// First reverted frame in the tree, for a readable failure reason
+function findRevert(frame) {
+  if (frame.error) return frame.revertReason || frame.error;
+  for (const child of frame.calls || []) {
+    const reason = findRevert(child);
+    if (reason) return reason;
+  }
+  return null;
+}
+
+/**
+ * Best-effort effects from decoded calldata alone (no tracer available).
+ * Only direct calls made by the avatar are understood; anything else is a warning.
+ */
+function collectStaticEffects(node, avatar, effects, warnings) {
+  if (node.decoded.name === "multiSend" && node.children.length > 0) {
+    node.children.forEach((child) => collectStaticEffects(child, avatar, effects, warnings));
+    return;
+  }
+  if (node.operation === 1) {
+    warnings.push(`DelegateCall to ${node.to} cannot be analysed without a tracer`);
+    return;
+  }
+  if (node.decoded.name === "execTransaction") {
+    warnings.push(`Nested Safe transaction via ${node.to} is not analysed`);
+  }
+
+  const to = node.to.toLowerCase();
+  const value = BigInt(node.value || "0");
+  if (value > 0n && to !== avatar) effects.eth -= value;
+
+  let parsed = null;
+  try {
+    parsed = (to === avatar ? safeIface : erc20Iface).parseTransaction({ data: node.data, value });
+  } catch {
+    // not a call we model
+  }
+  if (!parsed) return;
+
+  const a = parsed.args;
+  if (to === avatar) {
+    switch (parsed.name) {
+      case "addOwnerWithThreshold": effects.ownersAdded.push(a[0]); effects.threshold = Number(a[1]); break;
+      case "removeOwner": effects.ownersRemoved.push(a[1]); effects.threshold = Number(a[2]); break;
+      case "swapOwner": effects.ownersRemoved.push(a[1]); effects.ownersAdded.push(a[2]); break;
+      case "changeThreshold": effects.threshold = Number(a[0]); break;
+      case "enableModule": effects.modulesEnabled.push(a[0]); break;
+      case "disableModule": effects.modulesDisabled.push(a[1]); break;
+      case "setGuard": effects.guard = ethers.getAddress(a[0]); break;
+      default: break;
+    }
+  } else if (parsed.name === "transfer" && a[0].toLowerCase() !== avatar) {
+    addTokenDelta(effects, node.to, -a[1]);
+  } else if (parsed.name === "transferFrom") {
+    if (a[0].toLowerCase() === avatar) addTokenDelta(effects, node.to, -a[2]);
+    if (a[1].toLowerCase() === avatar) addTokenDelta(effects, node.to, a[2]);
+  }
+}
+
+// ---- Simulation ----
+
+async function traceCall(provider, call, stateOverrides) {
+  const config = { tracer: "callTracer", tracerConfig: { withLog: true } };
+  if (stateOverrides) config.stateOverrides = stateOverrides;
+  return provider.send("debug_traceCall", [call, "latest", config]);
+}
+
+async function plainCall(provider, call, stateOverrides) {
+  if (stateOverrides) return provider.send("eth_call", [call, "latest", stateOverrides]);
+  return provider.call(call);
+}
+
+/**
+ * Simulate executing every transaction of a proposal bundle and diff the avatar.
+ *
+ * @param {ethers.Provider} provider
+ * @param {object} params
+ * @param {object} params.proposal - { proposalId, txHashes }
+ * @param {object} params.bundle - { transactions }
+ * @param {object} params.moduleConfig - from loadModuleConfig() (avatar, target)
+ * @param {object} [params.stateOverrides] - geth-style state override set
+ * @returns {{ traced, before, after, diff, txs, warnings }}
+ */
+export async function simulateProposalExecution(provider, { proposal, bundle, moduleConfig, stateOverrides = null }) {
+  const moduleAddress = getActiveProfile().moduleAddress;
+  const avatar = moduleConfig.avatar.toLowerCase();
+  const warnings = [];
+  if (moduleConfig.target.toLowerCase() !== avatar) {
+    warnings.push(`Module target ${moduleConfig.target} is not the avatar; calls run from the target but the diff covers the avatar`);
+  }
+  if (bundle.transactions.length > 1) {
+    warnings.push("Each transaction is simulated against the current head on its own; effects that depend on earlier transactions may differ");
+  }
+
+  const mod = getModuleContract(provider);
+  const total = emptyEffects();
+  const txs = [];
+  let traced = true;
+
+  for (let i = 0; i < bundle.transactions.length; i++) {
+    const tx = bundle.transactions[i];
+    const result = { index: i, ok: false, reason: null, hint: null, gasUsed: null, traced: false, moduleCheck: null, warnings: [] };
+
+    // Module-level checks (approval, cooldown, ordering, hash) — informational
+    try {
+      const data = mod.interface.encodeFunctionData("executeProposalWithIndex", [
+        proposal.proposalId, proposal.txHashes, tx.to, tx.value || 0, tx.data || "0x", tx.operation || 0, i,
+      ]);
+      // eslint-disable-next-line no-await-in-loop
+      await plainCall(provider, { to: moduleAddress, data }, stateOverrides);
+      result.moduleCheck = { ok: true, reason: null, hint: null };
+    } catch (err) {
+      const reason = extractRevertReason(err) || err.shortMessage || err.message;
+      result.moduleCheck = { ok: false, reason, hint: explainRevert(reason) };
+    }
+
+    // What the avatar would do once the module lets the call through
+    const call = {
+      from: moduleAddress,
+      to: moduleConfig.target,
+      gas: TRACE_GAS,
+      data: safeIface.encodeFunctionData("execTransactionFromModule", [
+        tx.to, tx.value || 0, tx.data || "0x", tx.operation || 0,
+      ]),
+    };
+    const effects = emptyEffects();
+
+    if (traced) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const frame = await traceCall(provider, call, stateOverrides);
+        const success = !frame.error && frame.output && BigInt(frame.output) === 1n;
+        result.traced = true;
+        result.gasUsed = BigInt(frame.gasUsed || "0x0").toString();
+        if (success) {
+          collectTraceEffects(frame, avatar, effects);
+          result.ok = true;
+        } else {
+          result.reason = findRevert(frame) || "Module transaction failed";
+        }
+      } catch (err) {
+        traced = false;
+        warnings.push(`debug_traceCall unavailable (${err.shortMessage || err.message}); effects derived from calldata only`);
+      }
+    }
+
+    if (!result.traced) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const output = await plainCall(provider, call, stateOverrides);
+        result.ok = BigInt(output) === 1n;
+        if (!result.ok) result.reason = "Module transaction failed";
+      } catch (err) {
+        result.reason = extractRevertReason(err) || err.shortMessage || err.message;
+      }
+      if (result.ok) collectStaticEffects(decodeTransaction(tx), avatar, effects, result.warnings);
+    }
+
+    if (result.reason) result.hint = explainRevert(result.reason);
+    if (result.ok) mergeEffects(total, effects);
+    txs.push(result);
+  }
+
+  const tokens = Object.keys(total.tokens);
+  const before = await readSafeState(provider, moduleConfig.avatar, tokens);
+  if (stateOverrides) {
+    warnings.push("State overrides apply to the simulation only; the 'before' column is the real head state");
+  }
+  const after = applyEffects(before, total);
+
+  return { traced, before, after, diff: diffSafeState(before, after), txs, warnings };
+}
+
+function applyEffects(before, effects) {
+  const removed = new Set(effects.ownersRemoved.map((a) => a.toLowerCase()));
+  const disabled = new Set(effects.modulesDisabled.map((a) => a.toLowerCase()));
+
+  const owners = before.owners.filter((o) => !removed.has(o.toLowerCase()));
+  for (const o of effects.ownersAdded) {
+    const owner = ethers.getAddress(o);
+    if (!owners.includes(owner)) owners.unshift(owner);
+  }
+  const modules = before.modules.filter((m) => !disabled.has(m.toLowerCase()));
+  for (const m of effects.modulesEnabled) {
+    const enabled = ethers.getAddress(m);
+    if (!modules.includes(enabled)) modules.unshift(enabled);
+  }
+
+  const tokens = {};
+  for (const [key, state] of Object.entries(before.tokens)) {
+    const delta = effects.tokens[key] || 0n;
+    tokens[key] = { ...state, balance: state.balance === null ? null : state.balance + delta, delta };
+  }
+
+  return {
+    ...before,
+    owners,
+    threshold: effects.threshold ?? before.threshold,
+    modules,
+    guard: effects.guard ?? before.guard,
+    balance: before.balance + effects.eth,
+    tokens,
+  };
+}
+
+/**
+ * Field-by-field comparison of two Safe snapshots.
+ * Returns [{ field, before, after, changed }] with display strings.
+ */
+export function diffSafeState(before, after) {
+  const list = (arr) => (arr.length ? arr.join("\n") : "—");
+  const row = (field, b, a) => ({ field, before: b, after: a, changed: b !== a });
+
+  const rows = [
+    row("Owners", list(before.owners), list(after.owners)),
+    row("Threshold", String(before.threshold), String(after.threshold)),
+    row("Modules", list(before.modules), list(after.modules)),
+    row("Guard", before.guard === ethers.ZeroAddress ? "none" : before.guard, after.guard === ethers.ZeroAddress ? "none" : after.guard),
+    row("ETH balance", `${ethers.formatEther(before.balance)} ETH`, `${ethers.formatEther(after.balance)} ETH`),
+  ];
+
+  for (const [key, token] of Object.entries(before.tokens)) {
+    const next = after.tokens[key];
+    const fmt = (v) => (v === null ? `unknown (${token.error || "balanceOf failed"})` : `${ethers.formatUnits(v, token.decimals)} ${token.symbol}`);
+    const r = row(`${token.symbol} (${token.address})`, fmt(token.balance), fmt(next.balance));
+    // A failed balanceOf still shows a known delta
+    if (token.balance === null && next.delta) {
+      r.after = `${next.delta > 0n ? "+" : ""}${ethers.formatUnits(next.delta, token.decimals)} ${token.symbol}`;
+      r.changed = true;
+    }
+    rows.push(r);
+  }
+
+  return rows;
+}
@@ -0,0 +1,119 @@
+/**
+ * simulate.js — Pre-flight simulation of write actions
+ *
+ * Runs eth_call and estimateGas for a contract call from the connected
+ * address before the wallet is asked to sign, and turns Reality.eth /
+ * Reality Module revert reasons into short explanations.
+ */
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@6.13.4/+esm";
+
+const ERROR_STRING_IFACE = new ethers.Interface(["error Error(string)"]);
+
+// Known revert strings (lowercased substring → explanation)
+const REVERT_HINTS = [
+  // Reality.eth
+  ["bond must be double at least previous bond", "Bond too low: it must be at least double the current bond"],
+  ["bond must exceed the minimum", "Bond is below the question's minimum bond"],
+  ["bond must be positive", "Bond must be greater than zero"],
+  ["bond must exceed max_previous", "Someone posted a higher bond than your max previous; reload and re-check"],
+  ["question must not be finalized", "The question is already finalized"],
+  ["finalization deadline must not have passed", "The answer window has closed; the question can be finalized"],
+  ["question must not be pending arbitration", "The question is pending arbitration"],
+  ["opening date must have passed", "The question is not open for answers yet"],
+  ["question must exist", "Unknown question id for this oracle"],
+  ["question must not exist", "A question with this ID already exists; re-ask with another nonce"],
+  ["question must be finalized", "The question is not finalized yet"],
+  ["reveal deadline must not have passed", "The reveal window for this commitment has closed"],
+  ["commitment must not already be revealed", "This answer was already revealed"],
+  ["commitment must not already exist", "An identical commitment already exists; submit again to get a new nonce"],
+  ["history input provided did not match", "Answer history is stale or incomplete; re-fetch it and retry"],
+  ["at least one history hash entry must be provided", "No answer history was provided"],
+  ["msg.sender must be arbitrator", "Only the question's arbitrator can call this; request arbitration through the arbitrator contract"],
+  ["transfer of tokens failed", "Bond token transfer failed: check balance and allowance"],
+  ["erc20: insufficient allowance", "Bond token allowance is too low"],
+  ["erc20: transfer amount exceeds balance", "Bond token balance is too low"],
+  // Arbitrators
+  ["must have set a non-zero fee", "The arbitrator has no dispute fee set for this question"],
+  ["the question must not have been finalized", "The question is already finalized"],
+  ["not enough eth to cover arbitration costs", "The value sent is below the arbitrator's dispute fee"],
+  // Reality Module
+  ["proposal has already been submitted", "This proposal id and bundle were already asked"],
+  ["previous proposal was not invalidated", "The earlier question for this proposal did not finalize as INVALID; only then can it be re-asked"],
+  ["this proposal has been marked as invalid", "The module marked this proposal as invalid; it can never be asked again, use a new proposal ID"],
+  ["wait for additional cooldown", "The module cooldown after finalization has not passed yet"],
+  ["previous transaction not executed yet", "Execute the earlier transactions of this proposal first"],
+  ["cannot execute transaction again", "This transaction was already executed"],
+  ["unexpected transaction hash", "Transaction does not match the proposal's hash at this index (hash mismatch)"],
+  ["transaction was not approved", "The proposal was not answered YES"],
+  ["bond set in module has not been reached", "The final bond is below the module's minimum bond"],
+  ["answer has expired", "The YES answer has expired under the module's answer expiration"],
+  ["proposal has been invalidated", "The proposal was marked invalid"],
+  ["no question id set for provided proposal", "No question was created for this proposal id and bundle"],
+  ["module transaction failed", "The avatar executed the call and it reverted"],
+  ["ownable: caller is not the owner", "Only the module owner (usually the Safe) can call this"],
+  ["answers are valid forever", "The module has no answer expiration, so answers cannot expire"],
+  ["proposal is already invalidated", "The proposal was already marked invalid"],
+  ["only positive answers can expire", "Only YES answers can expire; use markProposalAsInvalid instead"],
+  ["answer has not expired yet", "The YES answer has not expired yet"],
+  // Safe
+  ["gs104", "The Reality Module is not enabled on the Safe"],
+];
+
+/**
+ * Pull a revert reason out of an ethers / wallet error.
+ */
+export function extractRevertReason(err) {
+  if (!err) return null;
+  if (err.reason) return err.reason;
+  if (err.revert?.args?.length) return String(err.revert.args[0]);
+
+  const data = err.data || err.info?.error?.data?.data || err.info?.error?.data;
+  if (typeof data === "string" && data.startsWith("0x") && data.length > 10) {
+    try {
+      return ERROR_STRING_IFACE.decodeErrorResult("Error", data)[0];
+    } catch {
+      // not Error(string)
+    }
+  }
+
+  const message = err.info?.error?.message || err.shortMessage || err.message || "";
+  const match = message.match(/reverted(?: with reason string)?:?\s*['"]?([^'"]+)['"]?/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Map a revert reason to a human explanation (null if unknown).
+ */
+export function explainRevert(reason) {
+  if (!reason) return null;
+  const lower = reason.toLowerCase();
+  const hit = REVERT_HINTS.find(([needle]) => lower.includes(needle));
+  return hit ? hit[1] : null;
+}
+
+/**
+ * Simulate `contract[method](...args, overrides)` with eth_call and estimateGas.
+ * The contract must be connected to the signer so calls are made from its address.
+ *
+ * @returns {{ ok: boolean, gas: string|null, reason: string|null, hint: string|null }}
+ */
+export async function simulateContractCall(contract, method, args, overrides = {}) {
+  const fn = contract.getFunction(method);
+  try {
+    await fn.staticCall(...args, overrides);
+    const gas = await fn.estimateGas(...args, overrides);
+    return { ok: true, gas: gas.toString(), reason: null, hint: null };
+  } catch (err) {
+    const reason = extractRevertReason(err) || err.shortMessage || err.message || "Unknown error";
+    return { ok: false, gas: null, reason, hint: explainRevert(reason) };
+  }
+}
+
+/**
+ * One-line summary of a simulation result for status boxes and confirms.
+ */
+export function formatSimulation(sim) {
+  if (sim.skipped) return `Simulation skipped: ${sim.reason}`;
+  if (sim.ok) return `Simulation OK · est. gas ${Number(sim.gas).toLocaleString()}`;
+  return `Simulation reverted: ${sim.reason}${sim.hint ? ` — ${sim.hint}` : ""}`;
+}
@@ -0,0 +1,159 @@
+/**
+ * timeline.js — One chronological view of a proposal's lifecycle
+ *
+ * Merges the indexed records (creation, answers, arbitration, finalization,
+ * executions) with the deadlines derived from the question state and module
+ * config (finalization by timeout, cooldown end, answer expiration). Derived
+ * moments have no block or transaction of their own.
+ */
+import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@6.13.4/+esm";
+import { ANSWER_YES } from "./config.js";
+import { formatAnswer, formatBond, normalizeAnswer } from "./reality.js";
+
+const short = (addr) => (addr ? `${addr.slice(0, 8)}…${addr.slice(-4)}` : "—");
+
+/**
+ * One-line description of an indexed arbitration / finalization event.
+ */
+export function describeArbitrationEvent(e) {
+  switch (e.kind) {
+    case "notify":
+      return `Arbitration requested by ${short(e.user)}`;
+    case "cancel":
+      return "Arbitration cancelled";
+    case "request":
+      return `Arbitration fee ${ethers.formatEther(e.feePaid)} ETH paid by ${short(e.user)}` +
+        (e.remaining !== "0" ? ` (${ethers.formatEther(e.remaining)} ETH remaining)` : "");
+    case "dispute":
+      return `Dispute #${e.disputeId} created`;
+    case "ruling":
+      return `Ruling ${e.ruling} on dispute #${e.disputeId} → ${formatAnswer(e.answer)}`;
+    default:
+      return `Finalized by the arbitrator as ${formatAnswer(e.answer)}`;
+  }
+}
+
+function describeAnswer(a) {
+  if (!a.isCommitment) return `Answer ${formatAnswer(a.answer)} by ${short(a.user)}`;
+  const revealed = a.commitment?.isRevealed ? ` (revealed ${formatAnswer(a.commitment.revealedAnswer)})` : "";
+  return `Committed answer by ${short(a.user)}${revealed}`;
+}
+
+/**
+ * Build the timeline entries for a proposal, oldest first.
+ * Each entry is { kind, label, detail, ts, blockNumber, txHash, upcoming }.
+ *
+ * @param {object} params
+ * @param {object} params.proposal - indexed proposal (with executions, if scanned)
+ * @param {object|null} params.questionState - from loadQuestionState()
+ * @param {object} params.moduleConfig - from loadModuleConfig()
+ * @param {Array} params.answers - cached LogNewAnswer records
+ * @param {object} params.events - from loadQuestionEvents()
+ */
+export function buildProposalTimeline({ proposal, questionState, moduleConfig, answers, events }) {
+  const now = Math.floor(Date.now() / 1000);
+  const items = [];
+  const add = (entry) => items.push({ detail: "", blockNumber: null, txHash: null, ...entry, upcoming: entry.ts > now });
+
+  const asked = events.question;
+  add({
+    kind: "created",
+    label: "Question created",
+    detail: asked ? `template ${asked.templateId} · timeout ${asked.timeout}s · arbitrator ${short(asked.arbitrator)}` : "",
+    ts: proposal.createdTimestamp || asked?.ts || 0,
+    blockNumber: proposal.createdBlock ?? asked?.blockNumber ?? null,
+    txHash: proposal.createdTxHash || asked?.txHash || null,
+  });
+
+  const openingTs = asked?.openingTs ?? questionState?.openingTs ?? 0;
+  if (openingTs > (proposal.createdTimestamp || 0)) {
+    add({ kind: "opening", label: "Question opens for answers", ts: openingTs });
+  }
+
+  for (const a of answers) {
+    add({
+      kind: "answer",
+      label: describeAnswer(a),
+      detail: `bond ${formatBond(a.bond || "0")}`,
+      ts: a.ts,
+      blockNumber: a.blockNumber,
+      txHash: a.txHash || null,
+    });
+  }
+
+  for (const e of events.arbitrations) {
+    add({
+      kind: e.kind === "ruling" ? "ruling" : "arbitration",
+      label: describeArbitrationEvent(e),
+      ts: e.ts,
+      blockNumber: e.blockNumber,
+      txHash: e.txHash,
+    });
+  }
+
+  // The arbitrator's answer finalizes with an event; the timeout does not
+  const finalAnswer = questionState ? normalizeAnswer(questionState.finalAnswer || questionState.bestAnswer) : null;
+  const arbitrated = events.finalizations[events.finalizations.length - 1];
+  let finalizeTs = 0;
+  if (arbitrated) {
+    finalizeTs = arbitrated.ts;
+    add({
+      kind: "finalized",
+      label: describeArbitrationEvent({ ...arbitrated, kind: "finalize" }),
+      ts: arbitrated.ts,
+      blockNumber: arbitrated.blockNumber,
+      txHash: arbitrated.txHash,
+    });
+  } else if (questionState?.finalizeTs > 0 && !questionState.isPendingArbitration) {
+    finalizeTs = questionState.finalizeTs;
+    add({
+      kind: "finalized",
+      label: finalizeTs > now
+        ? `Finalizes as ${formatAnswer(finalAnswer)} unless answered again`
+        : `Finalized as ${formatAnswer(finalAnswer)}`,
+      detail: "answer window ran out",
+      ts: finalizeTs,
+    });
+  }
+
+  // Cooldown and expiration only gate the execution of a YES answer
+  if (finalizeTs > 0 && finalAnswer === ANSWER_YES) {
+    add({ kind: "cooldown", label: "Cooldown ends — transactions executable", ts: finalizeTs + moduleConfig.questionCooldown });
+    if (moduleConfig.answerExpiration > 0) {
+      add({ kind: "expiration", label: "YES answer expires", ts: finalizeTs + moduleConfig.answerExpiration });
+    }
+  }
+
+  for (const x of proposal.executions || []) {
+    add({
+      kind: "executed",
+      label: `Transaction #${x.txIndex} executed`,
+      ts: x.ts,
+      blockNumber: x.blockNumber,
+      txHash: x.txHash,
+    });
+  }
+
+  return items.sort((a, b) => a.ts - b.ts || (a.blockNumber ?? 0) - (b.blockNumber ?? 0));
+}
+
+/**
+ * Render timeline entries as a Markdown table for reports.
+ */
+export function formatTimelineMarkdown(proposal, items) {
+  const rows = items.map((e) => {
+    const time = e.ts ? new Date(e.ts * 1000).toISOString().replace(".000Z", "Z") : "—";
+    const label = `${e.label}${e.detail ? ` (${e.detail})` : ""}${e.upcoming ? " — upcoming" : ""}`.replace(/\|/g, "\\|");
+    return `| ${time} | ${label} | ${e.blockNumber ?? "—"} | ${e.txHash ? `\`${e.txHash}\`` : "—"} |`;
+  });
+
+  return [
+    `### Proposal ${proposal.proposalId || proposal.questionId}`,
+    "",
+    `Question \`${proposal.questionId}\``,
+    "",
+    "| Time (UTC) | Event | Block | Tx |",
+    "| --- | --- | --- | --- |",
+    ...rows,
+  ].join("\n");
+}
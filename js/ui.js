@@ -4,7 +4,17 @@
  * Implements Section 8 of the SRD: proposals list, proposal detail, settings.
  */
 import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@6.13.4/+esm";
-import { formatAnswer, formatDuration, computeProposalStatus, parseQuestionText } from "./reality.js";
+import {
+  formatAnswer,
+  formatDuration,
+  formatBond,
+  formatBondAmount,
+  getBondSymbol,
+  computeProposalStatus,
+  parseQuestionText,
+} from "./reality.js";
+import { stringifyValue } from "./decoder.js";
+import { describeArbitrationEvent } from "./timeline.js";
 
 // ---- Toast Notifications ----
 
@@ -29,11 +39,12 @@ export function setStatus(elementId, message, type = "") {
 
 // ---- Network / Wallet badges ----
 
-export function updateNetworkBadge(chainId, connected) {
+export function updateNetworkBadge(chainId, connected, profileLabel = "") {
   const el = document.getElementById("network-badge");
   if (connected && chainId) {
     const name = chainId === 1 ? "Ethereum" : `Chain ${chainId}`;
     el.textContent = `🟢 ${name}`;
+    el.title = profileLabel ? `Profile: ${profileLabel}` : "Network status";
     el.className = "badge badge-success";
   } else {
     el.textContent = "⏳ No RPC";
@@ -77,33 +88,113 @@ export function populateSettings(settings) {
   document.getElementById("input-rpc-fallback").value = settings.rpcFallback || "";
   document.getElementById("input-backfill").value = settings.backfillDays || 7;
   document.getElementById("input-poll-interval").value = settings.pollIntervalSec || 30;
+  document.getElementById("input-confirmations").value = settings.confirmations ?? 12;
 }
 
 export function readSettingsFromUI() {
+  const confirmations = parseInt(document.getElementById("input-confirmations").value, 10);
   return {
     rpcUrl: document.getElementById("input-rpc").value.trim(),
     rpcFallback: document.getElementById("input-rpc-fallback").value.trim(),
     backfillDays: parseInt(document.getElementById("input-backfill").value, 10) || 7,
     pollIntervalSec: parseInt(document.getElementById("input-poll-interval").value, 10) || 30,
+    confirmations: Number.isNaN(confirmations) ? 12 : Math.max(0, confirmations),
   };
 }
 
-export function showModuleConfig(config) {
+export function populateProfiles({ activeProfileId, profiles }) {
+  const select = document.getElementById("input-profile");
+  select.innerHTML = "";
+  for (const p of profiles) {
+    const opt = document.createElement("option");
+    opt.value = p.id;
+    opt.textContent = p.chainId ? `${p.label} (chain ${p.chainId})` : p.label;
+    select.appendChild(opt);
+  }
+  select.value = activeProfileId;
+
+  const active = profiles.find((p) => p.id === activeProfileId) || profiles[0];
+  document.getElementById("input-profile-label").value = active.label || "";
+  document.getElementById("input-profile-module").value = active.moduleAddress || "";
+  document.getElementById("input-profile-oracle").value = active.oracleAddress || "";
+  document.getElementById("input-profile-chain").value = active.chainId || "";
+  document.getElementById("input-profile-deploy-block").value = active.deploymentBlock || 0;
+  document.getElementById("btn-delete-profile").disabled = profiles.length <= 1;
+}
+
+export function readProfileFromUI() {
+  return {
+    label: document.getElementById("input-profile-label").value.trim(),
+    moduleAddress: document.getElementById("input-profile-module").value.trim(),
+    oracleAddress: document.getElementById("input-profile-oracle").value.trim(),
+    chainId: parseInt(document.getElementById("input-profile-chain").value, 10) || 0,
+    deploymentBlock: parseInt(document.getElementById("input-profile-deploy-block").value, 10) || 0,
+  };
+}
+
+export function showModuleConfig(config, oracle) {
   document.getElementById("module-config").classList.remove("hidden");
   document.getElementById("cfg-avatar").textContent = config.avatar;
   document.getElementById("cfg-target").textContent = config.target;
   document.getElementById("cfg-oracle").textContent = config.oracle;
+  document.getElementById("cfg-oracle-type").textContent = oracle ? oracle.label : "—";
   document.getElementById("cfg-cooldown").textContent = formatDuration(config.questionCooldown);
   document.getElementById("cfg-expiration").textContent =
     config.answerExpiration > 0 ? formatDuration(config.answerExpiration) : "None (no expiry)";
-  document.getElementById("cfg-minbond").textContent = `${ethers.formatEther(config.minimumBond)} ETH`;
+  document.getElementById("cfg-minbond").textContent = formatBond(config.minimumBond);
+  document.getElementById("cfg-template").textContent = config.template;
+  document.getElementById("cfg-timeout").textContent = formatDuration(config.questionTimeout);
+  document.getElementById("cfg-arbitrator").textContent = config.questionArbitrator;
+
+  // Bond unit labels in the vote / claim forms follow the oracle's currency
+  for (const el of document.querySelectorAll(".bond-symbol")) {
+    el.textContent = getBondSymbol();
+  }
+}
+
+// ---- Create Proposal Panel ----
+
+export function toggleCreateProposal() {
+  document.getElementById("create-proposal-panel").classList.toggle("hidden");
+}
+
+/**
+ * Render a prepareProposal() result and its call preview (null hides it).
+ */
+export function renderProposalPreview(prep, preview) {
+  const box = document.getElementById("create-proposal-preview");
+  if (!prep) {
+    box.classList.add("hidden");
+    return;
+  }
+
+  document.getElementById("create-proposal-question").textContent = prep.questionText;
+  const reason = document.getElementById("create-proposal-reason");
+  reason.textContent = prep.askable
+    ? `${prep.reason}. Expected question ID: ${prep.expectedQuestionId}`
+    : `⚠ ${prep.reason}`;
+  reason.className = prep.askable ? "" : "call-warning";
+  document.getElementById("create-proposal-calldata").textContent =
+    preview ? JSON.stringify(preview, null, 2) : "";
+  box.classList.remove("hidden");
 }
 
 // ---- Loading indicator ----
 
-export function showLoading(message = "") {
+/**
+ * Show the indexing indicator; with `onCancel` it gets a Cancel button.
+ */
+export function showLoading(message = "", onCancel = null) {
   document.getElementById("proposals-loading").classList.remove("hidden");
   if (message) document.getElementById("indexing-progress").textContent = message;
+
+  const cancel = document.getElementById("btn-cancel-indexing");
+  cancel.classList.toggle("hidden", !onCancel);
+  cancel.disabled = false;
+  cancel.onclick = onCancel && (() => {
+    cancel.disabled = true;
+    onCancel();
+  });
 }
 
 export function hideLoading() {
@@ -116,31 +207,51 @@ export function updateLoadingProgress(message) {
 
 // ---- Proposals Table ----
 
+// Group keys whose attempt rows are expanded (kept across re-renders)
+const expandedGroups = new Set();
+
+// First block of the indexer's unconfirmed window
+let unconfirmedFrom = Infinity;
+
+/**
+ * Set the first block whose records are shown as unconfirmed (see getUnconfirmedFrom()).
+ */
+export function setUnconfirmedFrom(block) {
+  unconfirmedFrom = block;
+}
+
+function formatUnconfirmedBadge(blockNumber) {
+  if (blockNumber === null || blockNumber === undefined || blockNumber < unconfirmedFrom) return "";
+  return ' <span class="badge badge-warning" title="Fewer confirmations than the configured depth; a reorg can still remove it">unconfirmed</span>';
+}
+
 /**
- * Render the proposals list table.
+ * Render the proposals list table: one row per proposalId group, showing the
+ * effective attempt, with the other attempts as expandable rows.
  *
- * @param {Array} proposals - from IndexedDB
+ * @param {Array} groups - from groupProposalAttempts()
  * @param {Map} questionStates - questionId → state
  * @param {object} moduleConfig
  * @param {Function} onView - callback(proposal)
  */
-export function renderProposalsTable(proposals, questionStates, moduleConfig, onView) {
+export function renderProposalsTable(groups, questionStates, moduleConfig, onView) {
   const tbody = document.getElementById("proposals-tbody");
   const noProposals = document.getElementById("no-proposals");
   tbody.innerHTML = "";
 
-  if (proposals.length === 0) {
+  if (groups.length === 0) {
     noProposals.classList.remove("hidden");
     return;
   }
   noProposals.classList.add("hidden");
 
-  // Sort newest first
-  const sorted = [...proposals].sort((a, b) => (b.createdBlock || 0) - (a.createdBlock || 0));
+  // Sort by latest attempt, newest first
+  const sorted = [...groups].sort((a, b) => (b.attempts[0].createdBlock || 0) - (a.attempts[0].createdBlock || 0));
 
-  for (const p of sorted) {
+  for (const group of sorted) {
+    const p = group.effective;
     const qs = questionStates.get(p.questionId) || null;
-    const status = computeProposalStatus(qs, moduleConfig);
+    const status = computeProposalStatus(qs, moduleConfig, p);
 
     const tr = document.createElement("tr");
 
@@ -148,12 +259,17 @@ export function renderProposalsTable(proposals, questionStates, moduleConfig, on
     const pidDisplay = p.proposalId
       ? (p.proposalId.length > 20 ? p.proposalId.slice(0, 20) + "…" : p.proposalId)
       : "—";
+    const expanded = expandedGroups.has(group.key);
+    const attemptsToggle = group.attempts.length > 1
+      ? `<button class="btn-attempts" title="Show question attempts">${expanded ? "▾" : "▸"} ${group.attempts.length} attempts</button>`
+      : "";
     tr.innerHTML = `
-      <td class="mono" title="${escapeHtml(p.proposalId || "")}">${escapeHtml(pidDisplay)}</td>
+      <td class="mono" title="${escapeHtml(p.proposalId || "")}">${escapeHtml(pidDisplay)}${formatUnconfirmedBadge(p.createdBlock)}${attemptsToggle}</td>
       <td class="mono" title="${p.questionId}">${p.questionId.slice(0, 10)}…${p.questionId.slice(-6)}</td>
       <td><span class="status-pill status-${status.label}">${status.label}</span></td>
+      <td>${formatIntegrityBadge(p.integrity)}</td>
       <td>${qs ? formatAnswer(qs.bestAnswer) : "—"}</td>
-      <td>${qs ? ethers.formatEther(qs.bond) : "—"}</td>
+      <td>${qs ? formatBondAmount(qs.bond) : "—"}</td>
       <td>${qs && qs.finalizeTs > 0 ? formatFinalizeEta(qs.finalizeTs, qs.isFinalized) : "—"}</td>
       <td>${status.executable ? '<span class="badge badge-success">Yes</span>' : '<span class="badge badge-neutral">No</span>'}</td>
       <td><button class="btn btn-secondary btn-view" data-qid="${p.questionId}">View</button></td>
@@ -162,7 +278,82 @@ export function renderProposalsTable(proposals, questionStates, moduleConfig, on
     const viewBtn = tr.querySelector(".btn-view");
     viewBtn.addEventListener("click", () => onView(p));
     tbody.appendChild(tr);
+
+    if (group.attempts.length < 2) continue;
+
+    const attemptRows = group.attempts.map((attempt, i) => {
+      const row = renderAttemptRow(attempt, group.attempts.length - i, questionStates, moduleConfig, onView);
+      row.classList.toggle("hidden", !expanded);
+      tbody.appendChild(row);
+      return row;
+    });
+
+    const toggle = tr.querySelector(".btn-attempts");
+    toggle.addEventListener("click", () => {
+      const open = !expandedGroups.has(group.key);
+      if (open) expandedGroups.add(group.key);
+      else expandedGroups.delete(group.key);
+      toggle.textContent = `${open ? "▾" : "▸"} ${group.attempts.length} attempts`;
+      attemptRows.forEach((row) => row.classList.toggle("hidden", !open));
+    });
+  }
+}
+
+/**
+ * One sub-row of an expanded proposal group (attempt numbers start at 1).
+ */
+function renderAttemptRow(attempt, number, questionStates, moduleConfig, onView) {
+  const qs = questionStates.get(attempt.questionId) || null;
+  const status = computeProposalStatus(qs, moduleConfig, attempt);
+
+  const tr = document.createElement("tr");
+  tr.className = "attempt-row";
+  tr.innerHTML = `
+    <td>↳ Attempt ${number} · block ${attempt.createdBlock || "—"}${formatUnconfirmedBadge(attempt.createdBlock)}</td>
+    <td class="mono" title="${attempt.questionId}">${attempt.questionId.slice(0, 10)}…${attempt.questionId.slice(-6)}</td>
+    <td><span class="status-pill status-${status.label}">${status.label}</span></td>
+    <td>${formatIntegrityBadge(attempt.integrity)}</td>
+    <td>${qs ? formatAnswer(qs.isFinalized ? qs.finalAnswer || qs.bestAnswer : qs.bestAnswer) : "—"}</td>
+    <td>${qs ? formatBondAmount(qs.bond) : "—"}</td>
+    <td colspan="2">${escapeHtml(status.reason)}</td>
+    <td><button class="btn btn-secondary btn-view" data-qid="${attempt.questionId}">View</button></td>
+  `;
+  tr.querySelector(".btn-view").addEventListener("click", () => onView(attempt));
+  return tr;
+}
+
+const INTEGRITY_BADGES = {
+  ok: ["badge-success", "✓ Verified"],
+  warn: ["badge-warning", "⚠ Check"],
+  fail: ["badge-danger", "✗ Mismatch"],
+};
+
+function formatIntegrityBadge(integrity) {
+  if (!integrity) return '<span class="badge badge-neutral">Unchecked</span>';
+  const [cls, label] = INTEGRITY_BADGES[integrity.status];
+  const title = integrity.checks
+    .filter((c) => c.result !== "ok")
+    .map((c) => `${c.name}: ${c.detail}`)
+    .join("\n");
+  return `<span class="badge ${cls}" title="${escapeHtml(title || "All checks passed")}">${label}</span>`;
+}
+
+/**
+ * Render the integrity check list in the detail view.
+ */
+export function renderIntegrity(integrity) {
+  const el = document.getElementById("det-integrity");
+  if (!integrity) {
+    el.innerHTML = `${formatIntegrityBadge(null)} <small>Connect to an RPC to verify this proposal.</small>`;
+    return;
   }
+  const icons = { ok: "✓", warn: "⚠", fail: "✗" };
+  const items = integrity.checks.map((c) => `
+    <li class="integrity-${c.result}">${icons[c.result]} <strong>${escapeHtml(c.name)}</strong> — ${escapeHtml(c.detail)}</li>`
+  ).join("");
+  el.innerHTML = `${formatIntegrityBadge(integrity)}
+    <small>checked ${new Date(integrity.checkedAt * 1000).toLocaleString()}</small>
+    <ul class="integrity-checks">${items}</ul>`;
 }
 
 function formatFinalizeEta(finalizeTs, isFinalized) {
@@ -174,6 +365,41 @@ function formatFinalizeEta(finalizeTs, isFinalized) {
 
 // ---- Proposal Detail ----
 
+/**
+ * List every question attempt of the open proposal's group in the detail
+ * view (hidden for single-attempt proposals).
+ */
+export function renderAttemptHistory(group, currentQuestionId, questionStates, moduleConfig, onView) {
+  const card = document.getElementById("det-attempts-card");
+  const list = document.getElementById("det-attempts");
+  list.innerHTML = "";
+
+  if (!group || group.attempts.length < 2) {
+    card.classList.add("hidden");
+    return;
+  }
+  card.classList.remove("hidden");
+
+  group.attempts.forEach((attempt, i) => {
+    const qs = questionStates.get(attempt.questionId) || null;
+    const status = computeProposalStatus(qs, moduleConfig, attempt);
+    const answer = qs ? formatAnswer(qs.isFinalized ? qs.finalAnswer || qs.bestAnswer : qs.bestAnswer) : "—";
+    const isCurrent = attempt.questionId === currentQuestionId;
+
+    const li = document.createElement("li");
+    li.className = isCurrent ? "attempt-current" : "";
+    li.innerHTML = `
+      Attempt ${group.attempts.length - i}
+      <span class="mono" title="${attempt.questionId}">${attempt.questionId.slice(0, 10)}…</span>
+      <span class="status-pill status-${status.label}">${status.label}</span>
+      ${escapeHtml(answer)}${qs ? ` · ${formatBond(qs.bond)}` : ""} — ${escapeHtml(status.reason)}
+      ${attempt === group.effective ? '<span class="badge badge-neutral">effective</span>' : ""}
+      ${isCurrent ? "" : '<button class="btn btn-secondary btn-small">View</button>'}`;
+    li.querySelector("button")?.addEventListener("click", () => onView(attempt));
+    list.appendChild(li);
+  });
+}
+
 /**
  * Show the proposal detail panel.
  */
@@ -182,7 +408,7 @@ export function showDetail(proposal, questionState, moduleConfig, answers) {
   document.getElementById("proposals-panel").classList.add("hidden");
   document.getElementById("detail-panel").classList.remove("hidden");
 
-  const status = computeProposalStatus(questionState, moduleConfig);
+  const status = computeProposalStatus(questionState, moduleConfig, proposal);
 
   // Identifiers
   document.getElementById("det-proposalId").textContent = proposal.proposalId || "—";
@@ -205,7 +431,8 @@ export function showDetail(proposal, questionState, moduleConfig, answers) {
     document.getElementById("det-status").innerHTML =
       `<span class="status-pill status-${status.label}">${status.label}</span> — ${escapeHtml(status.reason)}`;
     document.getElementById("det-bestAnswer").textContent = formatAnswer(questionState.bestAnswer);
-    document.getElementById("det-bond").textContent = `${ethers.formatEther(questionState.bond)} ETH`;
+    document.getElementById("det-bond").textContent = formatBond(questionState.bond);
+    document.getElementById("det-bounty").textContent = formatBond(questionState.bounty);
     document.getElementById("det-finalizeTs").textContent = questionState.finalizeTs > 0
       ? new Date(questionState.finalizeTs * 1000).toLocaleString()
       : "—";
@@ -221,13 +448,14 @@ export function showDetail(proposal, questionState, moduleConfig, answers) {
     document.getElementById("det-status").textContent = "Loading...";
     document.getElementById("det-bestAnswer").textContent = "—";
     document.getElementById("det-bond").textContent = "—";
+    document.getElementById("det-bounty").textContent = "—";
     document.getElementById("det-finalizeTs").textContent = "—";
     document.getElementById("det-timeRemaining").textContent = "—";
     document.getElementById("det-arbitration").textContent = "—";
   }
 
   // Module Thresholds
-  document.getElementById("det-minBond").textContent = `${ethers.formatEther(moduleConfig.minimumBond)} ETH`;
+  document.getElementById("det-minBond").textContent = formatBond(moduleConfig.minimumBond);
   document.getElementById("det-cooldown").textContent = formatDuration(moduleConfig.questionCooldown);
   document.getElementById("det-expiration").textContent =
     moduleConfig.answerExpiration > 0 ? formatDuration(moduleConfig.answerExpiration) : "None";
@@ -266,6 +494,66 @@ export function showDetail(proposal, questionState, moduleConfig, answers) {
   }
 }
 
+/**
+ * Render the indexed question parameters and arbitration / finalization
+ * events from loadQuestionEvents(). Parameters fall back to questions() when
+ * the LogNewQuestion has not been indexed.
+ */
+export function renderQuestionEvents(events, questionState) {
+  const asked = events.question;
+  const openingTs = asked ? asked.openingTs : questionState?.openingTs;
+  const timeout = asked ? asked.timeout : questionState?.timeout;
+  const arbitrator = asked ? asked.arbitrator : questionState?.arbitrator;
+
+  document.getElementById("det-template").textContent = asked ? String(asked.templateId) : "—";
+  document.getElementById("det-openingTs").textContent = openingTs
+    ? new Date(openingTs * 1000).toLocaleString()
+    : (openingTs === 0 ? "Immediately" : "—");
+  document.getElementById("det-timeout").textContent = timeout ? formatDuration(timeout) : "—";
+  document.getElementById("det-arbitrator").textContent = arbitrator || "—";
+
+  const list = document.getElementById("det-arbitration-history");
+  list.innerHTML = "";
+  const items = [...events.arbitrations, ...events.finalizations.map((f) => ({ ...f, kind: "finalize" }))]
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  if (items.length === 0) {
+    list.innerHTML = '<li style="color:var(--text-muted)">No arbitration or finalization events indexed</li>';
+    return;
+  }
+
+  for (const e of items) {
+    const li = document.createElement("li");
+    li.innerHTML = `
+      ${escapeHtml(describeArbitrationEvent(e))}
+      <span class="mono" title="${e.txHash}">block ${e.blockNumber}</span>${formatUnconfirmedBadge(e.blockNumber)}
+      ${e.ts ? `· ${new Date(e.ts * 1000).toLocaleString()}` : ""}`;
+    list.appendChild(li);
+  }
+}
+
+/**
+ * Render buildProposalTimeline() entries as a vertical timeline.
+ */
+export function renderTimeline(items) {
+  const list = document.getElementById("det-timeline");
+  list.innerHTML = "";
+
+  for (const e of items) {
+    const li = document.createElement("li");
+    li.className = `timeline-item timeline-${e.kind}${e.upcoming ? " timeline-upcoming" : ""}`;
+    const where = [
+      e.blockNumber !== null ? `block ${e.blockNumber}${formatUnconfirmedBadge(e.blockNumber)}` : null,
+      e.txHash ? `<span class="mono" title="${e.txHash}">${e.txHash.slice(0, 10)}…</span>` : null,
+    ].filter(Boolean).join(" · ");
+    li.innerHTML = `
+      <div class="timeline-time">${e.ts ? new Date(e.ts * 1000).toLocaleString() : "—"}${e.upcoming ? " (upcoming)" : ""}</div>
+      <div class="timeline-label">${escapeHtml(e.label)}</div>
+      ${e.detail || where ? `<div class="timeline-meta">${escapeHtml(e.detail)}${e.detail && where ? " · " : ""}${where}</div>` : ""}`;
+    list.appendChild(li);
+  }
+}
+
 /**
  * Hide detail, show proposals list.
  */
@@ -292,15 +580,155 @@ function renderAnswerHistory(answers) {
   for (const a of sorted) {
     const tr = document.createElement("tr");
     tr.innerHTML = `
-      <td>${formatAnswer(a.answer)}</td>
+      <td>${a.isCommitment ? formatCommittedAnswer(a) : formatAnswer(a.answer)}${formatUnconfirmedBadge(a.blockNumber)}</td>
       <td class="mono" title="${a.user}">${a.user ? a.user.slice(0, 8) + "…" + a.user.slice(-4) : "—"}</td>
-      <td>${ethers.formatEther(a.bond || "0")} ETH</td>
+      <td>${formatBond(a.bond || "0")}</td>
       <td>${a.ts ? new Date(a.ts * 1000).toLocaleString() : "—"}</td>
     `;
     tbody.appendChild(tr);
   }
 }
 
+/**
+ * Answer cell for a commit-reveal entry; `a.answer` is the commitment_id and
+ * `a.commitment` the on-chain state when it could be loaded.
+ */
+function formatCommittedAnswer(a) {
+  const c = a.commitment;
+  if (c?.isRevealed) {
+    return `${formatAnswer(c.revealedAnswer)} <span class="badge badge-neutral">revealed</span>`;
+  }
+  const now = Math.floor(Date.now() / 1000);
+  if (c && c.revealTs > now) {
+    return `<span class="answer-committed" title="${a.answer}">🔒 Committed · reveal within ${formatDuration(c.revealTs - now)}</span>`;
+  }
+  if (c) {
+    return `<span class="answer-unrevealed" title="${a.answer}">🔒 Never revealed</span>`;
+  }
+  return `<span class="answer-committed" title="${a.answer}">🔒 Committed</span>`;
+}
+
+/**
+ * Render a planBondEscalation() result (null clears it).
+ *
+ * @param {object|null} plan
+ * @param {{ finalizeTs: number, timeout: number, feeNote: string|null }} timing
+ */
+export function renderBondPlan(plan, timing) {
+  const box = document.getElementById("bond-plan");
+  if (!plan) {
+    box.innerHTML = "";
+    return;
+  }
+
+  const rows = plan.steps.map((s) => `
+    <tr class="${s.round === plan.arbitrationRound ? "plan-arbitration" : ""}">
+      <td>${s.round}</td>
+      <td>${formatBond(s.ourBond)}</td>
+      <td>${formatBond(s.atRisk)}</td>
+      <td>${formatBond(s.payout)}</td>
+      <td>${formatBond(s.net)}</td>
+      <td>${formatBond(s.counterBond)}</td>
+      <td>${s.round === plan.arbitrationRound ? "⚖ Arbitration cheaper from here" : s.arbitrationCheaper ? "⚖" : ""}</td>
+    </tr>`).join("");
+
+  const now = Math.floor(Date.now() / 1000);
+  const clock = timing.finalizeTs > now
+    ? `The current answer finalizes in ${formatDuration(timing.finalizeTs - now)}`
+    : "No answer window is running";
+
+  box.innerHTML = `
+    <table class="data-table">
+      <thead>
+        <tr><th>Round</th><th>Our bond</th><th>Capital at risk</th><th>Payout if we win</th><th>Net gain</th><th>Their counter</th><th></th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <p class="plan-summary">
+      ${clock}; every new answer resets the clock to ${formatDuration(timing.timeout)}.
+      Payouts include all earlier bonds and the bounty, ignoring takeover fees owed to earlier answerers with our answer.
+      ${timing.feeNote ? escapeHtml(timing.feeNote) : ""}
+    </p>`;
+}
+
+/**
+ * List the connected user's local commitments for the open question with
+ * reveal buttons (empty list hides the box).
+ */
+export function renderPendingReveals(commitments, onReveal) {
+  const box = document.getElementById("pending-reveals");
+  const list = document.getElementById("pending-reveals-list");
+  list.innerHTML = "";
+
+  if (!commitments || commitments.length === 0) {
+    box.classList.add("hidden");
+    return;
+  }
+  box.classList.remove("hidden");
+
+  const now = Math.floor(Date.now() / 1000);
+  for (const c of [...commitments].sort((a, b) => b.createdAt - a.createdAt)) {
+    let state;
+    if (c.revealed) state = "revealed ✓";
+    else if (!c.revealTs) state = c.txHash ? "awaiting confirmation" : "not sent";
+    else if (c.revealTs > now) state = `reveal within ${formatDuration(c.revealTs - now)}`;
+    else state = "reveal window closed";
+
+    const canReveal = !c.revealed && c.revealTs > now;
+    const li = document.createElement("li");
+    li.innerHTML = `
+      ${formatAnswer(c.answer)} · ${formatBond(c.bond)} —
+      <span class="${canReveal ? "answer-committed" : ""}">${state}</span>
+      ${canReveal ? '<button class="btn btn-primary btn-small">Reveal</button>' : ""}`;
+    li.querySelector("button")?.addEventListener("click", () => onReveal(c));
+    list.appendChild(li);
+  }
+}
+
+/**
+ * Render the cached LogFundAnswerBounty top-ups, newest first (empty hides the table).
+ */
+export function renderBountyHistory(events) {
+  const table = document.getElementById("bounty-history-table");
+  const tbody = document.getElementById("bounty-history-tbody");
+  tbody.innerHTML = "";
+
+  if (!events || events.length === 0) {
+    table.classList.add("hidden");
+    return;
+  }
+  table.classList.remove("hidden");
+
+  for (const e of [...events].reverse()) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>+${formatBond(e.bountyAdded)}</td>
+      <td>${formatBond(e.bounty)}</td>
+      <td class="mono" title="${e.user}">${e.user.slice(0, 8)}…${e.user.slice(-4)}</td>
+      <td>${e.blockNumber}${formatUnconfirmedBadge(e.blockNumber)}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+}
+
+/**
+ * Render a loadArbitrator() result in the arbitration section (null resets it).
+ */
+export function renderArbitrator(arbitrator) {
+  const warning = document.getElementById("arb-warning");
+  const eth = (wei) => (wei === null ? "—" : `${ethers.formatEther(wei)} ETH`);
+
+  document.getElementById("arb-address").textContent = arbitrator?.address || "—";
+  document.getElementById("arb-kind").textContent = arbitrator
+    ? `${arbitrator.label}${arbitrator.court ? ` · court ${arbitrator.court}` : ""}`
+    : "—";
+  document.getElementById("arb-dispute-fee").textContent = arbitrator ? eth(arbitrator.disputeFee) : "—";
+  document.getElementById("arb-paid").textContent = arbitrator?.kind === "reality" ? eth(arbitrator.paid) : "—";
+
+  warning.textContent = arbitrator?.warning || "";
+  warning.classList.toggle("hidden", !arbitrator?.warning);
+}
+
 // ---- Bond Claims ----
 
 export function renderClaimSection(claimableAnswers, questionId, totalClaimable, unclaimedBalance) {
@@ -315,7 +743,7 @@ export function renderClaimSection(claimableAnswers, questionId, totalClaimable,
   if (tbody) tbody.innerHTML = "";
 
   if (unclaimedBalance !== null && unclaimedBalance !== undefined) {
-    balanceEl.textContent = `Reality.eth balance: ${ethers.formatEther(unclaimedBalance)} ETH`;
+    balanceEl.textContent = `Reality.eth balance: ${formatBond(unclaimedBalance)}`;
     balanceEl.classList.remove("hidden");
     document.getElementById("btn-withdraw-balance").classList.toggle("hidden", unclaimedBalance === 0n);
   } else {
@@ -337,7 +765,7 @@ export function renderClaimSection(claimableAnswers, questionId, totalClaimable,
     tr.innerHTML = `
       <td>${entry.index}</td>
       <td>${formatAnswer(entry.answer)}</td>
-      <td>${ethers.formatEther(entry.bond)} ETH</td>
+      <td>${formatBond(entry.bond)}</td>
       <td>${entry.ts ? new Date(entry.ts * 1000).toLocaleString() : "—"}</td>
       <td><span class="badge ${entry.claimable ? "badge-success" : "badge-neutral"}">${entry.claimable ? "Claimable" : "Locked"}</span></td>
       <td>${escapeHtml(entry.reason)}</td>
@@ -346,8 +774,9 @@ export function renderClaimSection(claimableAnswers, questionId, totalClaimable,
   }
 
   const hasClaimable = claimableAnswers.some((a) => a.claimable);
+  const withBounty = claimableAnswers.some((a) => a.claimable && a.bounty && a.bounty !== "0");
   totalEl.textContent = hasClaimable
-    ? `Estimated claimable: ${ethers.formatEther(totalClaimable)} ETH (your bonds)`
+    ? `Estimated claimable: ${formatBond(totalClaimable)} (your bonds${withBounty ? " and the bounty" : ""})`
     : "No bonds currently claimable";
 
   document.getElementById("btn-claim-winnings").disabled = !hasClaimable;
@@ -387,7 +816,7 @@ export function renderClaimsOverview(allClaims, onClaim, onClaimAll) {
       <td class="mono" title="${escapeHtml(claim.proposalId || "")}">${escapeHtml(pidDisplay)}</td>
       <td class="mono">${claim.questionId.slice(0, 10)}…${claim.questionId.slice(-6)}</td>
       <td>${claim.claimableAnswers.length}</td>
-      <td>${ethers.formatEther(claim.totalClaimable)} ETH</td>
+      <td>${formatBond(claim.totalClaimable)}</td>
       <td><button class="btn btn-primary btn-claim-single" data-qid="${claim.questionId}">Claim</button></td>
     `;
 
@@ -396,11 +825,205 @@ export function renderClaimsOverview(allClaims, onClaim, onClaimAll) {
     tbody.appendChild(tr);
   }
 
-  totalEl.textContent = `Total claimable: ${ethers.formatEther(grandTotal)} ETH`;
+  totalEl.textContent = `Total claimable: ${formatBond(grandTotal)}`;
   document.getElementById("btn-claim-all").disabled = allClaims.length === 0;
   document.getElementById("btn-claim-all").onclick = () => onClaimAll(allClaims);
 }
 
+// ---- Calldata Decoding ----
+
+/**
+ * HTML for a decoded call: function name plus named, formatted arguments.
+ * Falls back to the truncated raw calldata when the call could not be decoded.
+ */
+export function formatDecodedCallHtml(decoded, rawData) {
+  if (!decoded.source) {
+    const raw = rawData && rawData.length > 20 ? rawData.slice(0, 20) + "…" : (rawData || "0x");
+    const note = decoded.error ? `<div class="decoded-note">${escapeHtml(decoded.error)}</div>` : "";
+    return decoded.name && !decoded.error
+      ? `<span class="decoded-fn">${escapeHtml(decoded.name)}</span>`
+      : `${escapeHtml(raw)}${note}`;
+  }
+
+  const args = decoded.args.map((a) => `
+    <li><span class="decoded-arg">${escapeHtml(a.name)}</span>
+    <span class="decoded-type">${escapeHtml(a.type)}</span>
+    <span class="mono">${escapeHtml(stringifyValue(a.value))}</span></li>`).join("");
+  const sourceNote = decoded.source === "abi"
+    ? `ABI${decoded.label ? `: ${escapeHtml(decoded.label)}` : ""}`
+    : "selector registry";
+
+  return `
+    <span class="decoded-fn" title="${escapeHtml(decoded.signature)}">${escapeHtml(decoded.name)}</span>
+    <span class="decoded-note">(${sourceNote})</span>
+    <ul class="decoded-args">${args}</ul>`;
+}
+
+/**
+ * HTML for a decoded call tree: the call itself, warnings, and — for
+ * MultiSend batches and Safe execTransaction calls — each inner call
+ * with its own target, value, operation and decoded calldata.
+ */
+export function formatCallTreeHtml(node, path = "") {
+  const warnings = node.warnings
+    .map((w) => `<div class="call-warning">⚠ ${escapeHtml(w)}</div>`)
+    .join("");
+
+  if (node.children.length === 0) {
+    return `${formatDecodedCallHtml(node.decoded, node.data)}${warnings}`;
+  }
+
+  const children = node.children.map((child, i) => {
+    const childPath = path ? `${path}.${i}` : String(i);
+    const op = child.operation === 1 ? "DelegateCall" : "Call";
+    return `
+      <li>
+        <div class="call-head">
+          <span class="call-index">${childPath}</span>
+          <span class="badge ${child.operation === 1 ? "badge-warning" : "badge-neutral"}">${op}</span>
+          <span class="mono" title="${escapeHtml(child.to || "")}">${escapeHtml(child.to || "—")}</span>
+          ${child.label ? `<span class="decoded-note">${escapeHtml(child.label)}</span>` : ""}
+          ${child.value !== "0" ? `<span class="decoded-note">value ${escapeHtml(child.value)} wei</span>` : ""}
+        </div>
+        ${formatCallTreeHtml(child, childPath)}
+      </li>`;
+  }).join("");
+
+  return `
+    <span class="decoded-fn" title="${escapeHtml(node.decoded.signature || "")}">${escapeHtml(node.decoded.name || "")}</span>
+    <span class="decoded-note">(${node.children.length} inner call${node.children.length === 1 ? "" : "s"})</span>
+    ${warnings}
+    <ol class="call-tree">${children}</ol>`;
+}
+
+/**
+ * Render the result of diagnoseTxBundle() under the bundle table (null hides it).
+ */
+export function renderBundleDiagnosis(result) {
+  const box = document.getElementById("bundle-diagnosis");
+  if (!result) {
+    box.classList.add("hidden");
+    box.innerHTML = "";
+    return;
+  }
+
+  const items = result.findings.map((f) => `
+    <li>${f.index === null ? "<strong>Bundle</strong>" : `<strong>#${f.index}</strong>`} — ${escapeHtml(f.description)}</li>`
+  ).join("");
+
+  box.innerHTML = `
+    <h4>Mismatch diagnosis</h4>
+    <p>${result.matched}/${result.total} hashes can be explained with the fixes below
+    (chainId ${result.context.chainId}, module <span class="mono">${escapeHtml(result.context.moduleAddress)}</span>).</p>
+    <ul>${items || "<li>No mismatches found</li>"}</ul>`;
+  box.classList.remove("hidden");
+}
+
+/**
+ * Render the execute-all run log (null hides it).
+ */
+export function renderExecutionRun(run) {
+  const box = document.getElementById("execute-all-progress");
+  if (!run) {
+    box.classList.add("hidden");
+    box.innerHTML = "";
+    return;
+  }
+
+  const labels = { running: "running", paused: "paused", done: "complete" };
+  const items = run.log.map((entry) => `
+    <li value="${entry.index}" class="run-${entry.status}">
+      ${escapeHtml(entry.message)}${entry.hash ? ` <span class="mono" title="${entry.hash}">${entry.hash.slice(0, 10)}…</span>` : ""}
+    </li>`).join("");
+  const pending = run.pendingTx
+    ? `<p>Waiting for #${run.pendingTx.index}: <span class="mono">${escapeHtml(run.pendingTx.hash)}</span></p>`
+    : "";
+
+  box.innerHTML = `
+    <h4>Execute all — ${labels[run.status]} (next #${run.nextIndex} of ${run.total})</h4>
+    ${run.pauseReason ? `<p class="call-warning">⚠ ${escapeHtml(run.pauseReason)}</p>` : ""}
+    ${pending}
+    <ol>${items}</ol>`;
+  box.classList.remove("hidden");
+}
+
+/**
+ * Render simulateProposalExecution() output: per-tx results and the avatar diff (null hides it).
+ */
+export function renderSafeDiff(result) {
+  const box = document.getElementById("safe-diff");
+  if (!result) {
+    box.classList.add("hidden");
+    box.innerHTML = "";
+    return;
+  }
+
+  const txItems = result.txs.map((t) => {
+    const outcome = t.ok
+      ? `<span class="diff-ok">✓ succeeds</span>${t.gasUsed ? ` · gas ${Number(t.gasUsed).toLocaleString()}` : ""}`
+      : `<span class="diff-fail">✗ ${escapeHtml(t.reason || "fails")}</span>${t.hint ? ` — ${escapeHtml(t.hint)}` : ""}`;
+    const gate = t.moduleCheck && !t.moduleCheck.ok
+      ? `<br><small>Module check: ${escapeHtml(t.moduleCheck.hint || t.moduleCheck.reason)}</small>`
+      : "";
+    const notes = t.warnings.map((w) => `<br><small class="call-warning">⚠ ${escapeHtml(w)}</small>`).join("");
+    return `<li><strong>#${t.index}</strong> ${outcome}${gate}${notes}</li>`;
+  }).join("");
+
+  const rows = result.diff.map((r) => `
+    <tr class="${r.changed ? "diff-changed" : ""}">
+      <td>${escapeHtml(r.field)}</td>
+      <td class="mono">${escapeHtml(r.before).replace(/\n/g, "<br>")}</td>
+      <td class="mono">${escapeHtml(r.after).replace(/\n/g, "<br>")}</td>
+    </tr>`).join("");
+
+  const warnings = result.warnings.map((w) => `<li class="call-warning">⚠ ${escapeHtml(w)}</li>`).join("");
+
+  box.innerHTML = `
+    <h4>Execution simulation ${result.traced ? "(traced)" : "(calldata only)"} — Safe <span class="mono">${escapeHtml(result.before.address)}</span></h4>
+    <ul>${txItems}</ul>
+    <table class="data-table">
+      <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ${warnings ? `<ul>${warnings}</ul>` : ""}`;
+  box.classList.remove("hidden");
+}
+
+/**
+ * Render the decoder registry summary in the settings panel.
+ */
+export function renderDecoderRegistry(summary, onRemoveSignature, onRemoveAbi) {
+  document.getElementById("decoder-summary").textContent =
+    `${summary.builtinCount} bundled signatures, ${summary.userSignatures.length} custom signature(s), ` +
+    `${summary.abiRecords.length} contract ABI(s)`;
+
+  const list = document.getElementById("decoder-entries");
+  list.innerHTML = "";
+
+  for (const rec of summary.abiRecords) {
+    const li = document.createElement("li");
+    li.innerHTML = `
+      <span class="mono">${escapeHtml(rec.address)}</span>
+      ${rec.label ? `— ${escapeHtml(rec.label)}` : ""}
+      <small>(${rec.functionCount} functions)</small>
+      <button class="btn btn-secondary btn-small">Remove</button>
+    `;
+    li.querySelector("button").addEventListener("click", () => onRemoveAbi(rec.address));
+    list.appendChild(li);
+  }
+
+  for (const rec of summary.userSignatures) {
+    const li = document.createElement("li");
+    li.innerHTML = `
+      <span class="mono">${escapeHtml(rec.full.replace(/^function /, ""))}</span>
+      <small>${escapeHtml(rec.selector)}</small>
+      <button class="btn btn-secondary btn-small">Remove</button>
+    `;
+    li.querySelector("button").addEventListener("click", () => onRemoveSignature(rec.signature));
+    list.appendChild(li);
+  }
+}
+
 // ---- Filter / Search ----
 
 export function getSearchFilter() {
@@ -412,21 +1035,25 @@ export function getStatusFilter() {
 }
 
 /**
- * Apply search and status filter to proposals list.
+ * Apply search and status filter to proposal groups. Search matches any
+ * attempt; the status filter uses the group's effective attempt.
  */
-export function filterProposals(proposals, questionStates, moduleConfig, searchText, statusFilter) {
-  return proposals.filter((p) => {
+export function filterProposalGroups(groups, questionStates, moduleConfig, searchText, statusFilter) {
+  return groups.filter((group) => {
     // Search filter
     if (searchText) {
-      const matchPid = (p.proposalId || "").toLowerCase().includes(searchText);
-      const matchQid = (p.questionId || "").toLowerCase().includes(searchText);
-      if (!matchPid && !matchQid) return false;
+      const matches = group.attempts.some((p) =>
+        (p.proposalId || "").toLowerCase().includes(searchText) ||
+        (p.questionId || "").toLowerCase().includes(searchText)
+      );
+      if (!matches) return false;
     }
 
     // Status filter
     if (statusFilter && statusFilter !== "all") {
+      const p = group.effective;
       const qs = questionStates.get(p.questionId) || null;
-      const status = computeProposalStatus(qs, moduleConfig);
+      const status = computeProposalStatus(qs, moduleConfig, p);
       if (status.label !== statusFilter) return false;
     }
 
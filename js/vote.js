@@ -2,88 +2,307 @@
  * vote.js — Submit answers (vote YES/NO) on Reality.eth questions
  *
  * Implements FR-7: bond recommendation, max_previous protection, submitAnswer call.
+ * Answers can also be committed first (submitAnswerCommitment) and revealed
+ * later, so the answer stays hidden until the reveal.
  */
 import { ethers } from "https://cdn.jsdelivr.net/npm/ethers@6.13.4/+esm";
-import { getRealitioContract } from "./contracts.js";
-import { ANSWER_YES, ANSWER_NO } from "./config.js";
+import { getRealitioContract, getTokenContract, getOracle } from "./contracts.js";
+import { dbDelete, dbGetAll, dbGetAllByIndex, dbPut } from "./db.js";
+import { formatAnswer, formatBond } from "./reality.js";
+import { simulateContractCall } from "./simulate.js";
+
+/**
+ * For ERC20-bonded oracles, make sure the oracle may pull `bondWei` tokens
+ * from the signer. Sends an approve() and returns its response if the
+ * current allowance is too low; returns null when nothing needs approving.
+ *
+ * @param {ethers.Signer} signer
+ * @param {string} bondWei - bond amount in token base units (as string)
+ * @returns {ethers.TransactionResponse|null}
+ */
+export async function ensureBondAllowance(signer, bondWei) {
+  const oracle = getOracle();
+  if (!oracle.erc20) return null;
+
+  const token = getTokenContract(oracle.token.address, signer);
+  const owner = await signer.getAddress();
+  const amount = BigInt(bondWei);
+
+  const balance = await token.balanceOf(owner);
+  if (balance < amount) {
+    throw new Error(`Insufficient ${oracle.token.symbol} balance: have ${formatBond(balance)}, need ${formatBond(amount)}`);
+  }
+
+  const allowance = await token.allowance(owner, oracle.address);
+  if (allowance >= amount) return null;
+
+  return token.approve(oracle.address, amount);
+}
+
+function answerCall(signer, questionId, answerBytes32, bondWei, maxPreviousWei) {
+  const realitio = getRealitioContract(signer);
+  const maxPrev = BigInt(maxPreviousWei || "0");
+
+  // ERC20 oracles take the bond as an argument; call ensureBondAllowance first
+  if (getOracle().erc20) {
+    return {
+      contract: realitio,
+      method: "submitAnswerERC20",
+      args: [questionId, answerBytes32, maxPrev, BigInt(bondWei)],
+      overrides: {},
+    };
+  }
+
+  return {
+    contract: realitio,
+    method: "submitAnswer",
+    args: [questionId, answerBytes32, maxPrev],
+    overrides: { value: BigInt(bondWei) },
+  };
+}
 
 /**
  * Submit an answer to a Reality.eth question.
  *
  * @param {ethers.Signer} signer - Connected wallet signer
  * @param {string} questionId - bytes32 question ID
- * @param {boolean} answerYes - true for YES, false for NO
- * @param {string} bondWei - bond amount in wei (as string)
- * @param {string} maxPreviousWei - max_previous in wei (as string)
+ * @param {string} answer - bytes32 answer (see ANSWER_CHOICES)
+ * @param {string} bondWei - bond amount in wei or token base units (as string)
+ * @param {string} maxPreviousWei - max_previous in the same units (as string)
  * @returns {ethers.TransactionResponse}
  */
-export async function submitAnswer(signer, questionId, answerYes, bondWei, maxPreviousWei) {
+export async function submitAnswer(signer, questionId, answer, bondWei, maxPreviousWei) {
+  const { contract, method, args, overrides } = answerCall(signer, questionId, answer, bondWei, maxPreviousWei);
+  return contract[method](...args, overrides);
+}
+
+/**
+ * Simulate submitAnswer from the signer's address.
+ * For ERC20 oracles the simulation is skipped while the allowance is still
+ * below the bond, since the token transfer would revert until approve() lands.
+ */
+export async function simulateAnswer(signer, questionId, answer, bondWei, maxPreviousWei) {
+  const oracle = getOracle();
+  if (oracle.erc20) {
+    const token = getTokenContract(oracle.token.address, signer);
+    const allowance = await token.allowance(await signer.getAddress(), oracle.address);
+    if (allowance < BigInt(bondWei)) {
+      return { ok: true, skipped: true, gas: null, reason: `${oracle.token.symbol} approval pending`, hint: null };
+    }
+  }
+
+  const { contract, method, args, overrides } = answerCall(signer, questionId, answer, bondWei, maxPreviousWei);
+  return simulateContractCall(contract, method, args, overrides);
+}
+
+// ---- Commit-reveal ----
+
+/**
+ * Generate a commitment for an answer: a random nonce,
+ * answer_hash = keccak256(answer, nonce) and
+ * commitment_id = keccak256(question_id, answer_hash, bond).
+ * The commitment_id is what LogNewAnswer and the answer history record.
+ */
+export function createCommitment(questionId, answer, bondWei) {
+  const nonce = ethers.toBigInt(ethers.randomBytes(32)).toString();
+  const answerHash = ethers.solidityPackedKeccak256(["bytes32", "uint256"], [answer, nonce]);
+  const commitmentId = ethers.solidityPackedKeccak256(
+    ["bytes32", "bytes32", "uint256"],
+    [questionId, answerHash, BigInt(bondWei)]
+  ).toLowerCase();
+
+  return {
+    commitmentId,
+    questionId,
+    answer,
+    nonce,
+    answerHash,
+    bond: bondWei.toString(),
+    txHash: null,
+    revealTs: 0,
+    revealed: false,
+    createdAt: Math.floor(Date.now() / 1000),
+  };
+}
+
+function commitCall(signer, commitment, answerer, maxPreviousWei) {
   const realitio = getRealitioContract(signer);
-  const answerBytes32 = answerYes ? ANSWER_YES : ANSWER_NO;
   const maxPrev = BigInt(maxPreviousWei || "0");
 
-  const tx = await realitio.submitAnswer(
-    questionId,
-    answerBytes32,
-    maxPrev,
-    { value: BigInt(bondWei) }
-  );
+  if (getOracle().erc20) {
+    return {
+      contract: realitio,
+      method: "submitAnswerCommitmentERC20",
+      args: [commitment.questionId, commitment.answerHash, maxPrev, answerer, BigInt(commitment.bond)],
+      overrides: {},
+    };
+  }
 
-  return tx;
+  return {
+    contract: realitio,
+    method: "submitAnswerCommitment",
+    args: [commitment.questionId, commitment.answerHash, maxPrev, answerer],
+    overrides: { value: BigInt(commitment.bond) },
+  };
 }
 
 /**
- * Request arbitration for a question on Reality.eth.
+ * Post an answer commitment. Save the commitment first (saveCommitment):
+ * without the nonce the answer can never be revealed.
  *
- * @param {ethers.Signer} signer
- * @param {string} questionId
- * @param {string} maxPreviousWei
- * @param {string} arbitrationFeeWei
  * @returns {ethers.TransactionResponse}
  */
-export async function notifyArbitrationRequest(
-  signer,
-  questionId,
-  maxPreviousWei,
-  arbitrationFeeWei = "0"
-) {
-  const realitio = getRealitioContract(signer);
-  const maxPrev = BigInt(maxPreviousWei || "0");
-  const fee = BigInt(arbitrationFeeWei || "0");
+export async function submitAnswerCommitment(signer, commitment, maxPreviousWei) {
+  const { contract, method, args, overrides } =
+    commitCall(signer, commitment, await signer.getAddress(), maxPreviousWei);
+  return contract[method](...args, overrides);
+}
 
-  return realitio.notifyOfArbitrationRequest(questionId, maxPrev, { value: fee });
+/**
+ * Simulate the commitment from the signer's address (skipped like
+ * simulateAnswer while an ERC20 approval is pending).
+ */
+export async function simulateAnswerCommitment(signer, commitment, maxPreviousWei) {
+  const oracle = getOracle();
+  const answerer = await signer.getAddress();
+  if (oracle.erc20) {
+    const token = getTokenContract(oracle.token.address, signer);
+    const allowance = await token.allowance(answerer, oracle.address);
+    if (allowance < BigInt(commitment.bond)) {
+      return { ok: true, skipped: true, gas: null, reason: `${oracle.token.symbol} approval pending`, hint: null };
+    }
+  }
+
+  const { contract, method, args, overrides } = commitCall(signer, commitment, answerer, maxPreviousWei);
+  return simulateContractCall(contract, method, args, overrides);
+}
+
+function revealArgs(commitment) {
+  return [commitment.questionId, commitment.answer, BigInt(commitment.nonce), BigInt(commitment.bond)];
 }
 
 /**
- * Build a preview of the submitAnswer transaction (for user review - NFR-4).
+ * Reveal a committed answer. Must land before the commitment's reveal_ts.
+ *
+ * @returns {ethers.TransactionResponse}
+ */
+export async function submitAnswerReveal(signer, commitment) {
+  return getRealitioContract(signer).submitAnswerReveal(...revealArgs(commitment));
+}
+
+/**
+ * Simulate submitAnswerReveal from the signer's address.
+ */
+export async function simulateAnswerReveal(signer, commitment) {
+  return simulateContractCall(getRealitioContract(signer), "submitAnswerReveal", revealArgs(commitment));
+}
+
+/**
+ * Read a commitment from the oracle ({ revealTs, isRevealed, revealedAnswer }).
+ * revealTs is 0 for unknown commitments.
  */
-export function buildAnswerPreview(questionId, answerYes, bondWei, maxPreviousWei) {
-  const answerBytes32 = answerYes ? ANSWER_YES : ANSWER_NO;
+export async function loadCommitmentState(provider, commitmentId) {
+  const c = await getRealitioContract(provider).commitments(commitmentId);
   return {
-    contract: "Reality.eth v3.0",
-    method: "submitAnswer(bytes32, bytes32, uint256)",
+    revealTs: Number(c.reveal_ts || c[0]),
+    isRevealed: Boolean(c.is_revealed || c[1]),
+    revealedAnswer: c.revealed_answer || c[2],
+  };
+}
+
+/**
+ * Attach on-chain commitment state to committed entries of an answer history.
+ */
+export async function loadAnswerCommitments(provider, answers) {
+  for (const a of answers) {
+    if (!a.isCommitment) continue;
+    try {
+      a.commitment = await loadCommitmentState(provider, a.answer);
+    } catch (err) {
+      console.warn(`Could not load commitment ${a.answer}:`, err.message);
+    }
+  }
+  return answers;
+}
+
+/**
+ * Persist a local commitment (nonce included) in IndexedDB.
+ */
+export async function saveCommitment(commitment) {
+  await dbPut("commitments", commitment);
+}
+
+/**
+ * Drop a local commitment whose transaction was never sent.
+ */
+export async function deleteCommitment(commitmentId) {
+  await dbDelete("commitments", commitmentId);
+}
+
+/**
+ * Local commitments for one question, or all of them without a questionId.
+ */
+export async function loadCommitments(questionId = null) {
+  return questionId ? dbGetAllByIndex("commitments", "questionId", questionId) : dbGetAll("commitments");
+}
+
+/**
+ * Build a preview of the commitment transaction. The answer itself is not
+ * part of the call; only its hash is.
+ */
+export function buildCommitmentPreview(commitment, maxPreviousWei) {
+  const oracle = getOracle();
+  return {
+    contract: oracle.label,
+    method: oracle.erc20
+      ? "submitAnswerCommitmentERC20(bytes32, bytes32, uint256, address, uint256)"
+      : "submitAnswerCommitment(bytes32, bytes32, uint256, address)",
     params: {
-      question_id: questionId,
-      answer: answerBytes32,
+      question_id: commitment.questionId,
+      answer_hash: commitment.answerHash || "keccak256(answer, nonce) — nonce generated on submit",
       max_previous: maxPreviousWei,
+      _answerer: "connected wallet",
+      ...(oracle.erc20 ? { tokens: commitment.bond } : {}),
     },
-    value: `${ethers.formatEther(bondWei)} ETH`,
-    valueWei: bondWei,
+    value: oracle.erc20 ? "0 ETH" : `${ethers.formatEther(commitment.bond)} ETH`,
+    bond: formatBond(commitment.bond),
+    reveal: "Reveal with the nonce stored in this browser before the reveal deadline (timeout / 8)",
   };
 }
 
 /**
- * Build a preview for notifyOfArbitrationRequest.
+ * Build a preview of the submitAnswer transaction (for user review - NFR-4).
  */
-export function buildArbitrationPreview(questionId, maxPreviousWei, arbitrationFeeWei) {
+export function buildAnswerPreview(questionId, answer, bondWei, maxPreviousWei) {
+  const oracle = getOracle();
+
+  if (oracle.erc20) {
+    return {
+      contract: oracle.label,
+      method: "submitAnswerERC20(bytes32, bytes32, uint256, uint256)",
+      params: {
+        question_id: questionId,
+        answer,
+        max_previous: maxPreviousWei,
+        tokens: bondWei,
+      },
+      answer: formatAnswer(answer),
+      value: "0 ETH",
+      bond: formatBond(bondWei),
+      approval: `${oracle.token.symbol} allowance for ${oracle.address} is raised to the bond if needed`,
+    };
+  }
+
   return {
-    contract: "Reality.eth v3.0",
-    method: "notifyOfArbitrationRequest(bytes32,uint256)",
+    contract: oracle.label,
+    method: "submitAnswer(bytes32, bytes32, uint256)",
     params: {
       question_id: questionId,
+      answer,
       max_previous: maxPreviousWei,
     },
-    value: `${ethers.formatEther(arbitrationFeeWei)} ETH`,
-    valueWei: arbitrationFeeWei,
+    answer: formatAnswer(answer),
+    value: `${ethers.formatEther(bondWei)} ETH`,
+    valueWei: bondWei,
   };
 }